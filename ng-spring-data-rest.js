@@ -34,116 +34,767 @@ const tough = require('tough-cookie');
 const qs = require('qs');
 const jsonTs = require('json-schema-to-typescript');
 const fs = require('fs');
-const fsExtra = require('fs-extra');
 const mustache = require('mustache');
 const _ = require('lodash');
-const pluralize = require('pluralize');
 
 // Declare constants
 const REGEXP_TYPESCRIPT_INTERFACE_NAME = /^(export interface )(\w+)( {)$/m;
-const REGEXP_TYPESCRIPT_INTERFACE_ATTRIBUTES = /^export interface \w+ {\n((.|\n)*?)}$/m;
+const REGEXP_TYPESCRIPT_INTERFACE_ATTRIBUTES = /^export interface \w+(?: extends \w+)? {\n((.|\n)*?)}$/m;
+const REGEXP_TYPESCRIPT_DECLARATION_NAME = /^export \w+ (\w+)/m;
+const REGEXP_TYPESCRIPT_EMPTY_INTERFACE = /^(export interface \w+ {)}$/gm;
+const REGEXP_TYPESCRIPT_DECLARATIONS = /^export (?:\w+ )+\w+/gm;
 const REGEXP_RT_ENTITY_NAME = /#(\w+)-/;
 const REGEXP_OWN_ENTITY_NAME = /(\w+)-/;
+const REGEXP_RT_REPOSITORY_NAME = /\/profile\/([^/#]+)#/;
+const REGEXP_PATTERN_REGEXP = /^\/(.*)\/(\w*)$/;
+const REGEXP_SINGLE_RESULT_SEARCH = /^(find|read|get|query|search|stream)(One|(First|Top)(?!\d))/;
+const PAGING_PARAMETERS = ['page', 'size', 'sort'];
 const STR_APPEND_REGEXP_TYPESCRIPT_PROPERTY_TYPE = '\\??: )(.+)(;)$';
 const STR_REGEXP_TYPESCRIPT_EXPORT_TYPE = 'export type $$@$$.*;\\n';
-const STR_IMPORT_REPLACE = 'import { Resource } from \'@lagoshny/ngx-hal-client\';';
-const PATH_CLASS_TEMPLATE = path.join(__dirname, './templates/class');
-const PATH_SERVICE_TEMPLATE = path.join(__dirname, './templates/service');
-const PATH_MODELS_TEMPLATE = path.join(__dirname, './templates/models');
-const PATH_SERVICES_TEMPLATE = path.join(__dirname, './templates/services');
+const REGEXP_TYPESCRIPT_PROPERTY = /^\s*(\w+|'[^']+'|"[^"]+")(\??): (.*)$/;
+const REGEXP_TYPESCRIPT_IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const STR_DEFINITION_REFERENCE_PREFIX = '#/definitions/';
+const PATH_TEMPLATES = path.join(__dirname, './templates');
+const MUSTACHE_TAGS = ['$$@', '@$$'];
+const FILE_MANIFEST = '.ng-spring-data-rest-manifest.json';
+const DEFAULT_TARGET = 'ngx-hal-client';
+const FILE_CASES = {
+    'kebab': _.kebabCase,
+    'snake': _.snakeCase,
+    'camel': _.camelCase,
+    'pascal': upperCamelCase
+};
+const RETRY_BASE_DELAY = 500;
 
-// Declare global variables
-let axiosInstance = undefined;
-let descriptorName = 'descriptor';
+// Declare client targets, the class and service templates of each target are located in 'templates/<target>'.
+// Search methods must not be named like members of the generated service's base class,
+// association accessors must not be named like members of the resource base class.
+// Support files are rendered once into the output directory.
+const TARGETS = {
+    'ngx-hal-client': {
+        'serviceMembers': ['handleError', 'resourceArray', 'getAll', 'get', 'getBySelfLink', 'search', 'searchPage',
+                           'searchSingle', 'customQuery', 'customQueryPost', 'getByRelationArray', 'getByRelation',
+                           'count', 'create', 'update', 'patch', 'delete', 'totalElement', 'totalPages', 'hasFirst',
+                           'hasNext', 'hasPrev', 'hasLast', 'next', 'prev', 'first', 'last', 'page'],
+        'resourceMembers': ['proxyUrl', 'rootUrl', '_links', 'getRelation', 'getProjection', 'getRelationArray',
+                            'getProjectionArray', 'addRelation', 'updateRelation', 'substituteRelation',
+                            'deleteRelation', 'postRelation', 'patchRelation', 'existRelationLink',
+                            'getRelationLinkHref', 'getResourceUrl', 'getSelfLinkHref'],
+        'supportFiles': []
+    },
+    'ngx-hateoas-client': {
+        'serviceMembers': ['getResource', 'getCollection', 'getPage', 'createResource', 'updateResource',
+                           'updateResourceById', 'patchResource', 'patchResourceById', 'deleteResource',
+                           'deleteResourceById', 'searchCollection', 'searchPage', 'searchResource', 'customQuery',
+                           'customSearchQuery'],
+        'resourceMembers': ['_links', 'getRelationLink', 'hasRelation', 'getRelation', 'getRelatedCollection',
+                            'getRelatedPage', 'postRelation', 'patchRelation', 'putRelation', 'addCollectionRelation',
+                            'bindRelation', 'unbindRelation', 'unbindCollectionRelation', 'deleteRelation',
+                            'getSelfLinkHref'],
+        'supportFiles': []
+    },
+    'http-client': {
+        'serviceMembers': ['http', 'rootUrl', 'type', 'resource', 'getAll', 'getPage', 'get', 'create', 'update',
+                           'patch', 'delete', 'search', 'searchPage', 'searchSingle', 'getRelation',
+                           'getRelationArray', 'setRelation', 'addRelation', 'removeRelation', 'request', 'toResource',
+                           'toPage', 'toBody', 'toHttpParams'],
+        'resourceMembers': ['_links', 'getRelationHref', 'getSelfLinkHref'],
+        'supportFiles': ['hal']
+    }
+};
+const PROJECTION_SERVICE_MEMBERS = ['getWithProjection', 'getAllWithProjection'];
+
+// Prefixes of the methods generated for each association, resources can only be added to collections.
+const ACCESSOR_PREFIXES = ['get', 'set', 'remove'];
+const COLLECTION_ACCESSOR_PREFIXES = ['get', 'set', 'add', 'remove'];
+
+// Validators of the 'schema-validators' template checking the formats of JSON schema properties.
+const FORMAT_VALIDATORS = {
+    'uri': 'SchemaValidators.uri',
+    'url': 'SchemaValidators.uri',
+    'uuid': 'SchemaValidators.uuid',
+    'date': 'SchemaValidators.date',
+    'date-time': 'SchemaValidators.dateTime'
+};
+
+// Fixture values of JSON schema string formats.
+const FORMAT_FIXTURE_VALUES = {
+    'email': 'user@example.com',
+    'uri': 'http://example.com/',
+    'url': 'http://example.com/',
+    'uuid': '00000000-0000-4000-8000-000000000000',
+    'date': '2020-01-01',
+    'date-time': '2020-01-01T00:00:00Z'
+};
+
+// Defaults for options that are not provided.
+const DEFAULT_OPTIONS = {
+    authMethod: 'NONE',
+    noAdditionalProperties: false,
+    noTrivialTypes: false,
+    detectHierarchies: false,
+    outputDir: './gen',
+    modelDir: 'model',
+    serviceDir: 'service',
+    formDir: 'form',
+    forms: false,
+    sharedTypeDir: 'shared',
+    sharedTypes: false,
+    testingDir: 'testing',
+    testing: false,
+    target: DEFAULT_TARGET,
+    classPrefix: '',
+    classSuffix: '',
+    interfaceNamePattern: 'I$$@className@$$',
+    fileCase: 'kebab',
+    typeMappings: {},
+    concurrency: 4,
+    retries: 3,
+    timeout: 10000,
+    watchInterval: 5000
+};
+
+/**
+ * Base class of all errors the generation process is rejected with.
+ * Carries the backend, repository and HTTP status related to the error, if any,
+ * the exit code used by the command line interface, 1 unless given, and the warnings recorded until the error
+ * occurred.
+ */
+class GeneratorError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.backend = details.backend;
+        this.repository = details.repository;
+        this.status = details.status;
+        this.exitCode = details.exitCode || 1;
+        this.cause = details.cause;
+        this.warnings = [];
+    }
+}
+
+/**
+ * The options are invalid or contradict each other.
+ */
+class ConfigurationError extends GeneratorError {
+}
+
+/**
+ * Authenticating with the Spring Data REST server failed.
+ */
+class AuthenticationError extends GeneratorError {
+}
+
+/**
+ * Collecting the repositories from the profile index failed.
+ */
+class DiscoveryError extends GeneratorError {
+}
+
+/**
+ * Retrieving the JSON schema of a repository failed.
+ */
+class SchemaFetchError extends GeneratorError {
+}
+
+/**
+ * Retrieving the ALPS profile of a repository failed.
+ */
+class AlpsFetchError extends GeneratorError {
+}
+
+/**
+ * Reading a snapshot failed.
+ */
+class SnapshotError extends GeneratorError {
+}
+
+/**
+ * Rendering the files of an entity failed.
+ */
+class RenderError extends GeneratorError {
+}
 
 /**
- * Entry point to this script, bootstraps the generation process.
+ * Entry point to this script, runs the generation process.
+ *
+ * Resolves with a summary of the generated artifacts:
+ * {
+ *     descriptorName: 'descriptor'|'descriptors',
+ *     repositories: {generated: [], skipped: []},
+ *     entities: [{repository, name, className, fileName, supertype,
+ *                 associations: [{name, rt, typing: 'entity'|'uri'|'original', type, collection, inherited}]}],
+ *     files: {added: [], changed: [], removed: [], unchanged: []},
+ *     upToDate: true|false,
+ *     warnings: [{code, repository, message}]
+ * }
+ * When checking or in a dry run, nothing is written and upToDate indicates whether the output directory is
+ * up to date. When backends are configured, each backend is generated in turn, see generateBackends.
  *
  * @param options The command line parameters and further configuration.
+ * @returns {Promise<{}>} Promise for the summary, rejected with a GeneratorError carrying the warnings
+ * recorded until then.
  */
-function ngSpringDataRest(options) {
-    // Axios instance setup
-    axiosInstance = axios.create({
-                                     baseURL: options.baseURL,
-                                     withCredentials: true,
-                                     timeout: 10000
-                                 });
-    axiosCookieJarSupport(axiosInstance);
-    axiosInstance.defaults.jar = new tough.CookieJar();
+async function ngSpringDataRest(options) {
+    const mergedOptions = Object.assign({}, DEFAULT_OPTIONS, options);
     
-    // Mustache setup
-    mustache.tags = ['$$@', '@$$'];
+    if (mergedOptions.backends) {
+        return generateBackends(mergedOptions);
+    }
     
-    doGenerate(options);
+    return doGenerate(createContext(mergedOptions));
 }
 
 /**
- * Generates the output files.
+ * Generates the output files of each configured backend in its own context, i.e. with its own session.
+ *
+ * Resolves with the summary of all backends, the entities and warnings are annotated with their backend and the
+ * files are relative to the output directory. The summaries of the single backends are given by backend name:
+ * {
+ *     entities: [{backend, repository, name, className, fileName, supertype, associations}],
+ *     files: {added: [], changed: [], removed: [], unchanged: []},
+ *     upToDate: true|false,
+ *     warnings: [{backend, code, repository, message}],
+ *     backends: {name: summary}
+ * }
+ *
+ * @param options The command line parameters and further configuration, including the backends.
+ * @returns {Promise<{}>} Promise for the summary, rejected with a GeneratorError carrying the warnings of all
+ * backends recorded until then.
+ */
+async function generateBackends(options) {
+    const backends = getBackends(options);
+    const summaries = {};
+    
+    const annotateWarnings = (name, warnings) => warnings
+        .map(warning => Object.assign({'backend': name}, warning));
+    
+    for (const backend of backends) {
+        try {
+            summaries[backend.name] = await runForBackend(backend.name,
+                                                          () => doGenerate(createContext(backend.options)));
+        } catch (error) {
+            // The warnings of the backends generated before belong to the run as well.
+            error.warnings = _.flatMap(Object.keys(summaries), name => annotateWarnings(name, summaries[name].warnings))
+                .concat(annotateWarnings(backend.name, error.warnings));
+            throw error;
+        }
+    }
+    
+    const summary = {
+        'entities': _.flatMap(backends, backend => summaries[backend.name].entities
+            .map(entity => Object.assign({'backend': backend.name}, entity))),
+        'files': {},
+        'upToDate': backends.every(backend => summaries[backend.name].upToDate),
+        'warnings': _.flatMap(backends, backend => annotateWarnings(backend.name, summaries[backend.name].warnings)),
+        'backends': summaries
+    };
+    for (const category of ['added', 'changed', 'removed', 'unchanged']) {
+        summary.files[category] = _.flatMap(backends, backend => {
+            const namespace = path.relative(options.outputDir, backend.options.outputDir).split(path.sep).join('/');
+            return summaries[backend.name].files[category].map(file => path.posix.join(namespace, file));
+        });
+    }
+    
+    return summary;
+}
+
+/**
+ * Returns the name and options of each configured backend. The options of a backend are the given options
+ * overridden by the options configured for the backend. Its output is written to a directory named like the
+ * backend within the output directory, unless an output directory is configured for the backend.
+ *
+ * @param options The command line parameters and further configuration, including the backends.
+ * @returns {[{}]} The backends, each with its name and options.
+ */
+function getBackends(options) {
+    const names = Object.keys(options.backends);
+    
+    if (names.length === 0) {
+        throw new ConfigurationError('No backends are configured.', {exitCode: 2});
+    }
+    if (options.fromSnapshot || options.recordSnapshot) {
+        throw new ConfigurationError('Snapshots must be configured per backend.', {exitCode: 2});
+    }
+    
+    const logger = options.logger || console;
+    const backends = names.map(name => {
+        if (!/^[\w-]+$/.test(name)) {
+            throw new ConfigurationError(`Invalid backend name '${name}', use letters, digits, '_' and '-' only.`,
+                                         {exitCode: 2});
+        }
+        
+        const backendOptions = Object.assign({}, _.omit(options, ['backends']),
+                                             {'outputDir': path.join(options.outputDir, name)},
+                                             options.backends[name],
+                                             {'backend': name});
+        backendOptions.logger = {
+            'log': message => logger.log(`[${name}] ${message}`),
+            'warn': message => logger.warn(`[${name}] ${message}`)
+        };
+        
+        return {name, 'options': backendOptions};
+    });
+    
+    // The client library resolves all resources against one global root URL.
+    if (backends.filter(backend => backend.options.target === 'ngx-hal-client').length > 1) {
+        throw new ConfigurationError('The ngx-hal-client target supports a single backend only, '
+                                     + 'use the ngx-hateoas-client or http-client target for multiple backends.',
+                                     {exitCode: 2});
+    }
+    
+    return backends;
+}
+
+/**
+ * Runs the given step of a backend, errors are annotated with the name of the backend.
+ *
+ * @param name The name of the backend.
+ * @param step The step to run, returning a promise.
+ * @returns {Promise<*>} Promise for the result of the step.
+ */
+async function runForBackend(name, step) {
+    try {
+        return await step();
+    } catch (error) {
+        if (error instanceof GeneratorError) {
+            error.backend = name;
+            error.message = `Backend '${name}': ${error.message}`;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Creates the context of a single generation run, which holds all state of the run.
  *
  * @param options The command line parameters and further configuration.
+ * @returns {{}} The context.
  */
-async function doGenerate(options) {
-    if (options.authMethod !== 'NONE') {
+function createContext(options) {
+    if (!(options.target in TARGETS)) {
+        throw new ConfigurationError(`Unknown target '${options.target}'.`, {exitCode: 2});
+    }
+    if (!(options.fileCase in FILE_CASES)) {
+        throw new ConfigurationError(`Unknown file case '${options.fileCase}'.`, {exitCode: 2});
+    }
+    if (!options.baseURL && !options.fromSnapshot) {
+        throw new ConfigurationError('Either a base URL or a snapshot to generate from must be provided.',
+                                     {exitCode: 2});
+    }
+    for (const key in options.typeMappings) {
+        if (typeof options.typeMappings[key].type !== 'string') {
+            throw new ConfigurationError(`Type mapping '${key}' does not define a type.`, {exitCode: 2});
+        }
+    }
+    if (options.check && options.recordSnapshot) {
+        throw new ConfigurationError('A snapshot cannot be recorded when checking.', {exitCode: 2});
+    }
+    if (options.dryRun && options.recordSnapshot) {
+        throw new ConfigurationError('A snapshot cannot be recorded in a dry run.', {exitCode: 2});
+    }
+    try {
+        mustache.parse(options.interfaceNamePattern, MUSTACHE_TAGS);
+    } catch (error) {
+        throw new ConfigurationError(`Invalid interface name pattern '${options.interfaceNamePattern}': `
+                                     + error.message, {exitCode: 2, cause: error});
+    }
+    
+    const context = {
+        'options': options,
+        'logger': options.logger || console,
+        'include': compilePatterns(options.include, 'include'),
+        'exclude': compilePatterns(options.exclude, 'exclude'),
+        'axiosInstance': undefined,
+        'descriptorName': 'descriptor',
+        'snapshot': undefined,
+        'recording': undefined,
+        'skippedRepositories': [],
+        'warnings': []
+    };
+    
+    // Snapshot setup, either load the recorded documents or prepare an empty snapshot to record into.
+    if (options.fromSnapshot) {
         try {
-            await doLogin(options);
-            console.log(`Authenticated as user ${options.username}.`);
-        } catch {
-            console.error(`Authentication failed.`);
-            process.exit(5);
+            context.snapshot = parseJSON(options.fromSnapshot);
+        } catch (error) {
+            throw new SnapshotError(`Could not read snapshot '${options.fromSnapshot}'.`,
+                                    {exitCode: 9, cause: error});
+        }
+    } else if (options.recordSnapshot) {
+        context.recording = {'profile': undefined, 'schemas': {}, 'alps': {}};
+    }
+    
+    // Axios instance setup
+    context.axiosInstance = axios.create({
+                                             baseURL: options.baseURL,
+                                             withCredentials: true,
+                                             timeout: options.timeout
+                                         });
+    axiosCookieJarSupport(context.axiosInstance);
+    context.axiosInstance.defaults.jar = new tough.CookieJar();
+    Object.assign(context.axiosInstance.defaults.headers.common, options.headers);
+    
+    return context;
+}
+
+/**
+ * Generates the output files.
+ *
+ * @param context The context of the generation run.
+ * @returns {Promise<{}>} Promise for the summary of the generated artifacts.
+ */
+async function doGenerate(context) {
+    const options = context.options;
+    
+    try {
+        if (context.snapshot) {
+            context.logger.log(`Generating from snapshot '${options.fromSnapshot}'.`);
+        } else {
+            await authenticate(context);
+        }
+        
+        const entities = await collectEntities(context);
+        
+        if (context.recording) {
+            writeSnapshot(context, options.recordSnapshot);
         }
+        
+        return await generateOutput(context, entities);
+    } catch (error) {
+        // The warnings often explain the error, e.g. an ALPS profile using another descriptor variant.
+        const generatorError = error instanceof GeneratorError
+            ? error
+            : new GeneratorError(error.message, {cause: error});
+        generatorError.warnings = context.warnings;
+        throw generatorError;
+    }
+}
+
+/**
+ * Authenticates against the backend using the configured authentication method, if any.
+ * The session is kept by the axios instance of the context, i.e. its cookie jar and default headers.
+ *
+ * @param context The context of the generation run.
+ * @returns {Promise<void>} Promise resolved once authenticated, rejected with an AuthenticationError.
+ */
+async function authenticate(context) {
+    const options = context.options;
+    
+    if (options.authMethod === 'NONE') {
+        return;
+    }
+    
+    try {
+        await doLogin(context);
+        context.logger.log(options.username && options.oauthFlow !== 'CLIENT_CREDENTIALS'
+                               ? `Authenticated as user ${options.username}.`
+                               : `Authenticated using ${options.authMethod}.`);
+    } catch (error) {
+        throw new AuthenticationError('Authentication failed.',
+                                      {status: getStatus(error), exitCode: 5, cause: error});
     }
+}
+
+/**
+ * Collects the repositories along with their schemas and ALPS profiles and determines their names.
+ *
+ * @param context The context of the generation run.
+ * @returns {Promise<{}>} Promise for the collected entities by repository name.
+ */
+async function collectEntities(context) {
+    context.warnings = [];
     
-    // Collect models to generate files for.
-    const entities = await collectRepositories();
-    console.log('Collected list of entities.');
+    const entities = await collectRepositories(context);
+    context.logger.log('Collected list of entities.');
     
-    await collectSchemas(entities);
-    await analyzeEnvironment(entities);
-    await collectAlpsAndPopulateNames(entities);
+    await collectMetadata(context, entities);
+    analyzeEnvironment(context, entities);
+    populateNames(context, entities);
+    
+    return entities;
+}
+
+/**
+ * Generates the files for the collected entities and writes or checks them.
+ *
+ * @param context The context of the generation run.
+ * @param entities The collected entities by repository name.
+ * @returns {Promise<{}>} Promise for the summary of the generated artifacts.
+ */
+async function generateOutput(context, entities) {
+    const options = context.options;
     
     // Process JSON schemas based on configuration.
     preProcessSchemas(entities, options);
+    applyTypeMappings(context, entities);
+    applyRepositoryConfiguration(entities, options);
+    populateHierarchies(context, entities);
+    populateSearchMethods(context, entities);
+    populateProjections(context, entities);
     
-    // Create output directory.
-    fs.mkdirSync(`${options.outputDir}/${options.modelDir}`,
-                 {recursive: true});
-    fs.mkdirSync(`${options.outputDir}/${options.serviceDir}`,
-                 {recursive: true});
+    // Convert each schema to TypeScript classes and services.
+    const {files, entityModels} = await generateTypeScriptFromSchema(context, entities);
+    const differences = compareOutput(files, options.outputDir);
+    const upToDate = differences.added.length + differences.changed.length + differences.removed.length === 0;
     
-    // Empty output directory.
-    fsExtra.emptyDirSync(`${options.outputDir}/${options.modelDir}`);
-    fsExtra.emptyDirSync(`${options.outputDir}/${options.serviceDir}`);
+    if (options.check) {
+        reportDifferences(context, differences);
+        if (upToDate) {
+            context.logger.log('Generated files are up to date.');
+        }
+    } else if (options.dryRun) {
+        reportDifferences(context, differences);
+        context.logger.log(`Dry run, nothing written: ${differences.added.length} added,`
+                               + ` ${differences.changed.length} changed, ${differences.removed.length} removed,`
+                               + ` ${differences.unchanged.length} unchanged.`);
+    } else {
+        writeOutput(context, files, differences);
+    }
     
-    // Convert each schema to TypeScript classes and services.
-    await generateTypeScriptFromSchema(entities,
-                                       options.outputDir,
-                                       options.modelDir,
-                                       options.serviceDir);
+    return {
+        'descriptorName': context.descriptorName,
+        'repositories': {
+            'generated': Object.keys(entities),
+            'skipped': context.skippedRepositories
+        },
+        'entities': entityModels.map(entityModel => ({
+            'repository': entityModel.repositoryName,
+            'name': entityModel.name,
+            'className': entityModel.className,
+            'fileName': entityModel.fileName,
+            'supertype': entities[entityModel.repositoryName].supertype,
+            'associations': entities[entityModel.repositoryName].associationTypings
+        })),
+        'files': differences,
+        'upToDate': upToDate,
+        'warnings': context.warnings
+    };
 }
 
 /**
- * Performs the login based on the provided authentication method.
+ * Watches the backend and regenerates the output files whenever its schemas or ALPS profiles change.
+ * Generates once, then polls the backend in the configured interval using the same session. The session is
+ * renewed when the backend rejects it. Failing polls are logged and retried in the next interval.
+ *
+ * When backends are configured, each backend is watched on its own.
+ *
+ * Resolves with a watcher once the first generation has finished:
+ * {
+ *     stop: function()
+ * }
  *
  * @param options The command line parameters and further configuration.
+ * @returns {Promise<{}>} Promise for the watcher, rejected with a GeneratorError if the first generation fails.
+ */
+async function watch(options) {
+    const mergedOptions = Object.assign({}, DEFAULT_OPTIONS, options);
+    
+    if (!mergedOptions.backends) {
+        return watchContext(createContext(mergedOptions));
+    }
+    
+    const watchers = [];
+    try {
+        for (const backend of getBackends(mergedOptions)) {
+            watchers.push(await runForBackend(backend.name, () => watchContext(createContext(backend.options))));
+        }
+    } catch (error) {
+        watchers.forEach(watcher => watcher.stop());
+        throw error;
+    }
+    
+    return {
+        stop() {
+            watchers.forEach(watcher => watcher.stop());
+        }
+    };
+}
+
+/**
+ * Watches the backend of the given context, see watch.
+ *
+ * @param context The context of the generation run.
+ * @returns {Promise<{}>} Promise for the watcher, rejected with a GeneratorError if the first generation fails.
+ */
+async function watchContext(context) {
+    if (context.snapshot) {
+        throw new ConfigurationError('Watching requires a base URL, snapshots cannot be watched.', {exitCode: 2});
+    }
+    if (context.options.check || context.options.dryRun) {
+        throw new ConfigurationError('Watching cannot be combined with checking or a dry run.', {exitCode: 2});
+    }
+    
+    await authenticate(context);
+    const entities = await collectEntities(context);
+    let fingerprints = getFingerprints(entities);
+    await generateAndRecord(context, entities);
+    
+    const interval = context.options.watchInterval;
+    const logger = context.logger;
+    let stopped = false;
+    let timer;
+    
+    const poll = async () => {
+        try {
+            const polled = await collectQuietly(context);
+            const current = getFingerprints(polled);
+            const changes = compareFingerprints(fingerprints, current);
+            
+            if (changes.length > 0) {
+                logger.log('Backend changed:');
+                changes.forEach(change => logger.log(`  ${change}`));
+                await generateAndRecord(context, polled);
+                fingerprints = current;
+            }
+        } catch (error) {
+            logger.warn(`Watching failed: ${error.message} Retrying in ${interval} ms.`);
+            
+            // Sessions and tokens expire, authenticate again before the next poll.
+            if (context.options.authMethod !== 'NONE' && [401, 403].includes(error.status)) {
+                await authenticate(context).catch(authError => logger.warn(authError.message));
+            }
+        }
+        
+        if (!stopped) {
+            timer = setTimeout(poll, interval);
+        }
+    };
+    
+    logger.log(`Watching ${context.options.baseURL} every ${interval} ms.`);
+    timer = setTimeout(poll, interval);
+    
+    return {
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+        }
+    };
+}
+
+/**
+ * Generates the output files and records a snapshot, if configured.
+ *
+ * @param context The context of the generation run.
+ * @param entities The collected entities by repository name.
+ * @returns {Promise<{}>} Promise for the summary of the generated artifacts.
+ */
+async function generateAndRecord(context, entities) {
+    if (context.recording) {
+        writeSnapshot(context, context.options.recordSnapshot);
+    }
+    
+    return generateOutput(context, entities);
+}
+
+/**
+ * Collects the entities again without logging the progress of each repository.
+ *
+ * @param context The context of the generation run.
+ * @returns {Promise<{}>} Promise for the collected entities by repository name.
+ */
+async function collectQuietly(context) {
+    const logger = context.logger;
+    context.logger = {'log': () => undefined, 'warn': (...args) => logger.warn(...args)};
+    if (context.recording) {
+        context.recording = {'profile': undefined, 'schemas': {}, 'alps': {}};
+    }
+    
+    try {
+        return await collectEntities(context);
+    } finally {
+        context.logger = logger;
+    }
+}
+
+/**
+ * Returns the documents and properties of the given entities to detect changes between polls.
+ * Must be called before the schemas are processed, as processing modifies them.
+ *
+ * @param entities The collected entities by repository name.
+ * @returns {{}} The serialized documents and property names by repository name.
+ */
+function getFingerprints(entities) {
+    return _.mapValues(entities, element => ({
+        'documents': JSON.stringify({'schema': element.schema, 'alps': element.alps}),
+        'properties': Object.keys(element.schema.properties || {})
+    }));
+}
+
+/**
+ * Describes the changes between the fingerprints of two polls.
+ *
+ * @param previous The fingerprints of the previous poll.
+ * @param current The fingerprints of the current poll.
+ * @returns {string[]} One line per added, removed or changed repository, empty if nothing changed.
+ */
+function compareFingerprints(previous, current) {
+    const changes = [];
+    
+    for (const key of _.union(Object.keys(previous), Object.keys(current)).sort()) {
+        if (!(key in current)) {
+            changes.push(`Removed entity '${key}'.`);
+        } else if (!(key in previous)) {
+            changes.push(`Added entity '${key}'.`);
+        } else if (previous[key].documents !== current[key].documents) {
+            const added = _.difference(current[key].properties, previous[key].properties);
+            const removed = _.difference(previous[key].properties, current[key].properties);
+            const details = [];
+            
+            if (added.length > 0) {
+                details.push(`added properties ${added.join(', ')}`);
+            }
+            if (removed.length > 0) {
+                details.push(`removed properties ${removed.join(', ')}`);
+            }
+            changes.push(`Changed entity '${key}'` + (details.length > 0 ? `: ${details.join('; ')}.` : '.'));
+        }
+    }
+    
+    return changes;
+}
+
+/**
+ * Performs the login based on the provided authentication method.
+ * BEARER and BASIC do not send a request, the credentials are added to every subsequent request instead.
+ *
+ * @param context The context of the generation run.
  * @returns {Promise} promise for the request.
  */
-function doLogin(options) {
+function doLogin(context) {
+    const options = context.options;
+    
     // Login if necessary with the specified method.
     switch (options.authMethod) {
         case 'COOKIE':
-            return authenticateWithCookies(options.authEndpoint,
+            return authenticateWithCookies(context.axiosInstance,
+                                           options.authEndpoint,
                                            options.username,
                                            options.password);
         case 'OAUTH2':
-            return authenticateWithOAuth2(options.oauthFlow,
+            return authenticateWithOAuth2(context.axiosInstance,
+                                          options.oauthFlow,
                                           options.authEndpoint,
                                           options.username,
                                           options.password,
                                           options.clientId,
-                                          options.clientPassword)
+                                          options.clientPassword,
+                                          options.scopes)
                 .then(response => {
-                    axiosInstance.defaults.headers.common['Authorization'] = 'Bearer ' + response.data.access_token;
-                })
+                    context.axiosInstance.defaults.headers.common['Authorization'] =
+                        'Bearer ' + response.data.access_token;
+                });
+        case 'BEARER':
+            context.axiosInstance.defaults.headers.common['Authorization'] = 'Bearer ' + options.token;
+            return Promise.resolve();
+        case 'BASIC':
+            context.axiosInstance.defaults.auth = {
+                username: options.username,
+                password: options.password
+            };
+            return Promise.resolve();
+        default:
+            return Promise.reject(new Error(`Unknown authentication method '${options.authMethod}'.`));
     }
 }
 
@@ -157,12 +808,13 @@ function doLogin(options) {
  *     password: "..."
  * }
  *
+ * @param axiosInstance The axios instance to authenticate.
  * @param authEndpoint The authentication endpoint URL to use, fully qualified.
  * @param username
  * @param password
  * @returns {Promise<{}>} Promise for the POST request to the authentication endpoint.
  */
-function authenticateWithCookies(authEndpoint, username, password) {
+function authenticateWithCookies(axiosInstance, authEndpoint, username, password) {
     return axiosInstance.post(authEndpoint,
                               qs.stringify({
                                                username: username,
@@ -173,145 +825,432 @@ function authenticateWithCookies(authEndpoint, username, password) {
 /**
  * OAuth2 authentication
  *
- * Currently only supports the PASSWORD flow without scopes.
+ * Supports the PASSWORD and CLIENT_CREDENTIALS flows. The client credentials are sent
+ * both in the request body and as HTTP Basic authentication.
  *
+ * @param axiosInstance The axios instance to authenticate.
  * @param flow The authorization flow to use when authenticating.
  * @param authEndpoint The authentication endpoint URL to use, fully qualified.
  * @param username
  * @param password
  * @param client
  * @param clientPassword
+ * @param scopes The scopes to request, either an array or a space separated string, may be undefined.
  * @returns {Promise<{}>} Promise for the POST request to the authentication endpoint.
  */
-function authenticateWithOAuth2(flow, authEndpoint, username, password, client, clientPassword) {
+function authenticateWithOAuth2(axiosInstance, flow, authEndpoint, username, password, client, clientPassword,
+                                scopes) {
+    let parameters;
     switch (flow) {
         case 'PASSWORD':
-            return axiosInstance.post(authEndpoint,
-                                      qs.stringify({
-                                                       grant_type: 'password',
-                                                       username: username,
-                                                       password: password,
-                                                       client_id: client,
-                                                       client_secret: clientPassword
-                                                   }),
-                                      {
-                                          headers: {'Content-Type': 'application/x-www-form-urlencoded'},
-                                          auth: {
-                                              username: client,
-                                              password: clientPassword
-                                          }
-                                      });
+            parameters = {
+                grant_type: 'password',
+                username: username,
+                password: password
+            };
+            break;
+        case 'CLIENT_CREDENTIALS':
+            parameters = {
+                grant_type: 'client_credentials'
+            };
+            break;
+        default:
+            return Promise.reject(new Error(`Unknown OAuth2 flow '${flow}'.`));
     }
-}
-
-/**
- * Analyzes the Spring Data REST environment, currently only whether descriptor properties are called
- * 'descriptor' or 'descriptors'.
- *
- * @param entities An object containing keys named by the repositories provided by Spring Data REST.
- * @returns {Promise<void>}
- */
-async function analyzeEnvironment(entities) {
-    const entitiesKeys = Object.keys(entities);
     
-    if (entitiesKeys.length > 0) {
-        const key = entitiesKeys[0];
-        
-        await axiosInstance.get(`profile/${key}`)
-            .then(response => {
-                if ('descriptor' in response.data['alps']) {
-                    descriptorName = 'descriptor';
-                } else if ('descriptors' in response.data['alps']) {
-                    descriptorName = 'descriptors';
-                }
-            })
-            .catch(() => {
-                console.error('Could not determine environment.');
-                process.exit(8);
-            });
+    const scope = [].concat(scopes || []).join(' ');
+    if (scope) {
+        parameters.scope = scope;
     }
+    
+    return axiosInstance.post(authEndpoint,
+                              qs.stringify(Object.assign(parameters, {
+                                  client_id: client,
+                                  client_secret: clientPassword
+                              })),
+                              {
+                                  headers: {'Content-Type': 'application/x-www-form-urlencoded'},
+                                  auth: {
+                                      username: client,
+                                      password: clientPassword
+                                  }
+                              });
 }
 
 /**
  * Retrieves an array of repository endpoint names provided by Spring Data REST using
  * the <host>/<basePath>/profile endpoints.
+ * Repositories configured to be skipped are omitted.
  *
+ * @param context The context of the generation run.
  * @returns {Promise<{}>} Promise for an object containing the repository names.
  */
-function collectRepositories() {
-    return axiosInstance.get('profile')
-        .then(response => {
-            if (!('_links' in response.data)) {
-                console.error(
-                    'Response does not contain _links element. Could not collect entities.');
-                process.exit(4);
+function collectRepositories(context) {
+    return fetchProfile(context)
+        .catch(error => {
+            throw new DiscoveryError('Collecting entities failed.',
+                                     {status: getStatus(error), exitCode: 3, cause: error});
+        })
+        .then(data => {
+            if (!('_links' in data)) {
+                throw new DiscoveryError('Response does not contain _links element. Could not collect entities.',
+                                         {exitCode: 4});
             }
             
             const entities = {};
-            const keys = Object.keys(response.data._links);
+            const keys = Object.keys(data._links);
             removeElementFromArray(keys, 'self');
+            context.skippedRepositories = [];
             
             for (const key of keys) {
+                if (!isRepositoryIncluded(context, key)) {
+                    context.logger.log(`Skipping repository '${key}'.`);
+                    context.skippedRepositories.push(key);
+                    continue;
+                }
                 entities[key] = {'repository': key};
             }
             
             return entities;
-        })
-        .catch(() => {
-            console.error('Collecting entities failed.');
-            process.exit(3);
         });
 }
 
 /**
- * Retrieves the JSON schema provided by Spring Data REST for each of the entities in the given array.
+ * Determines whether files are generated for the given repository.
+ * Repositories configured to be skipped, not matching any include pattern or matching an exclude pattern
+ * are not generated.
  *
- * @param entities An array containing objects with the name of each repository provided by Spring Data REST.
+ * @param context The context of the generation run.
+ * @param key The name of the repository.
+ * @returns {boolean} Whether the repository is generated.
  */
-async function collectSchemas(entities) {
-    console.log('Collecting schemas.');
+function isRepositoryIncluded(context, key) {
+    if (getRepositoryConfiguration(context.options, key).skip) {
+        return false;
+    }
     
-    for (const key in entities) {
-        const element = entities[key];
+    return (context.include.length === 0 || context.include.some(regExp => regExp.test(key)))
+        && !context.exclude.some(regExp => regExp.test(key));
+}
+
+/**
+ * Compiles the given patterns of repository names to regular expressions.
+ * Patterns enclosed in slashes, e.g. "/^admin/i", are regular expressions,
+ * all others are globs matching the whole name, supporting '*' and '?'.
+ *
+ * @param patterns A pattern or an array of patterns, may be undefined.
+ * @param option The name of the option the patterns are configured with, used in error messages.
+ * @returns {RegExp[]} The regular expressions.
+ */
+function compilePatterns(patterns, option) {
+    return [].concat(patterns || []).map(pattern => {
+        if (typeof pattern !== 'string') {
+            throw new ConfigurationError(`The ${option} patterns must be strings.`, {exitCode: 2});
+        }
         
-        await axiosInstance.get(`profile/${key}`,
-                                {headers: {'Accept': 'application/schema+json'}})
-            .then(response => {
-                element['schema'] = response.data;
-            })
-            .catch(() => {
-                console.error(`Could not collect schema for '${key}'.`);
-                process.exit(6);
-            });
-    }
+        const regExpMatches = pattern.match(REGEXP_PATTERN_REGEXP);
+        if (!regExpMatches) {
+            const glob = escapeRegExp(pattern)
+                .replace(/\\\*/g, '.*')
+                .replace(/\\\?/g, '.');
+            
+            return new RegExp(`^${glob}$`);
+        }
+        
+        try {
+            // Global and sticky expressions keep state between matches.
+            return new RegExp(regExpMatches[1], regExpMatches[2].replace(/[gy]/g, ''));
+        } catch (error) {
+            throw new ConfigurationError(`Invalid ${option} pattern '${pattern}': ${error.message}`,
+                                         {exitCode: 2, cause: error});
+        }
+    });
 }
 
 /**
- * Retrieves the ALPS profile provided by Spring Data REST for each of the entities in the given array.
+ * Retrieves the JSON schema and the ALPS profile provided by Spring Data REST for each of the entities.
+ * The configured number of repositories is collected concurrently, each document is fetched once.
  *
- * @param entities An array containing objects with the name of each repository and schemas provided by Spring Data REST.
+ * @param context The context of the generation run.
+ * @param entities An object containing keys named by the repositories provided by Spring Data REST.
+ * @returns {Promise<void>}
  */
-async function collectAlpsAndPopulateNames(entities) {
-    console.log('Collecting ALPS profiles.');
+async function collectMetadata(context, entities) {
+    const keys = Object.keys(entities);
+    let collected = 0;
     
-    for (const key in entities) {
+    context.logger.log(`Collecting schemas and ALPS profiles of ${keys.length} repositories.`);
+    
+    await mapConcurrently(keys, context.options.concurrency, async key => {
         const element = entities[key];
         
-        await axiosInstance.get(`profile/${key}`)
-            .then(response => {
-                element['alps'] = response.data['alps'];
-                element['name'] = element['alps'][descriptorName][0]['id'].match(
-                    REGEXP_OWN_ENTITY_NAME)[1];
-            })
-            .catch(() => {
-                console.error(`Could not collect ALPS profile for '${key}'.`);
-                process.exit(7);
+        element['schema'] = await fetchSchema(context, key)
+            .catch(error => {
+                throw new SchemaFetchError(`Could not collect schema for '${key}'.`,
+                                           {repository: key, status: getStatus(error), exitCode: 6, cause: error});
+            });
+        element['alps'] = await fetchAlps(context, key)
+            .then(data => {
+                if (!data || !data['alps']) {
+                    throw new Error('Response does not contain an alps element.');
+                }
+                return data['alps'];
             })
-    }
+            .catch(error => {
+                throw new AlpsFetchError(`Could not collect ALPS profile for '${key}'.`,
+                                         {repository: key, status: getStatus(error), exitCode: 7, cause: error});
+            });
+        
+        if (_.isEmpty(element.schema.properties) && !element.schema.oneOf && !element.schema.anyOf) {
+            warn(context, 'empty-schema', `The JSON schema of '${key}' declares no properties.`, key);
+        }
+        
+        collected++;
+        context.logger.log(`Collected '${key}' (${collected}/${keys.length}).`);
+    });
 }
 
 /**
- * Pre-Processes schemas according to the given configuration.
+ * Analyzes the Spring Data REST environment, currently only whether descriptor properties are called
+ * 'descriptor' or 'descriptors'. The ALPS profiles must have been collected before.
+ * The variant is taken from the first profile naming its descriptors, profiles using the other variant
+ * or none of them are reported.
+ *
+ * @param context The context of the generation run.
+ * @param entities An object containing keys named by the repositories provided by Spring Data REST.
+ */
+function analyzeEnvironment(context, entities) {
+    const variants = _.mapValues(entities, element => ['descriptor', 'descriptors']
+        .find(descriptorName => descriptorName in element['alps']));
+    const detected = _.find(variants, variant => variant !== undefined);
+    
+    if (detected) {
+        context.descriptorName = detected;
+    } else if (Object.keys(entities).length > 0) {
+        warn(context, 'descriptor-variant', 'No ALPS profile contains descriptors, assuming'
+                                            + ` '${context.descriptorName}'.`);
+    }
+    
+    for (const key in variants) {
+        if (variants[key] !== undefined && variants[key] !== context.descriptorName) {
+            warn(context, 'descriptor-variant', `The ALPS profile of '${key}' uses '${variants[key]}' instead of`
+                                                + ` '${context.descriptorName}'.`, key);
+        }
+    }
+}
+
+/**
+ * Populates the name of each entity from the id of the first descriptor of its ALPS profile.
+ *
+ * @param context The context of the generation run.
+ * @param entities An object containing keys named by the repositories provided by Spring Data REST.
+ */
+function populateNames(context, entities) {
+    for (const key in entities) {
+        const element = entities[key];
+        const descriptors = element['alps'][context.descriptorName] || [];
+        const matches = descriptors.length > 0 && descriptors[0]['id']
+            ? descriptors[0]['id'].match(REGEXP_OWN_ENTITY_NAME)
+            : null;
+        
+        if (!matches) {
+            throw new AlpsFetchError(`Could not determine the entity name of '${key}' from its ALPS profile.`,
+                                     {repository: key, exitCode: 7});
+        }
+        element['name'] = matches[1];
+    }
+}
+
+/**
+ * Retrieves the profile index listing all repositories, either from the server or the loaded snapshot.
+ *
+ * @param context The context of the generation run.
+ * @returns {Promise<{}>} Promise for the profile index document.
+ */
+function fetchProfile(context) {
+    if (context.snapshot) {
+        return readFromSnapshot(context.snapshot.profile, 'profile index');
+    }
+    
+    return requestWithRetry(context, {url: 'profile'})
+        .then(response => {
+            if (context.recording) {
+                context.recording.profile = response.data;
+            }
+            return response.data;
+        });
+}
+
+/**
+ * Retrieves the JSON schema of a repository, either from the server or the loaded snapshot.
+ *
+ * @param context The context of the generation run.
+ * @param key The name of the repository.
+ * @returns {Promise<{}>} Promise for the JSON schema document.
+ */
+function fetchSchema(context, key) {
+    if (context.snapshot) {
+        return readFromSnapshot(context.snapshot.schemas[key], `schema of '${key}'`);
+    }
+    
+    return requestWithRetry(context, {url: `profile/${key}`, headers: {'Accept': 'application/schema+json'}})
+        .then(response => {
+            if (context.recording) {
+                context.recording.schemas[key] = response.data;
+            }
+            return response.data;
+        });
+}
+
+/**
+ * Retrieves the ALPS document of a repository, either from the server or the loaded snapshot.
+ *
+ * @param context The context of the generation run.
+ * @param key The name of the repository.
+ * @returns {Promise<{}>} Promise for the ALPS document.
+ */
+function fetchAlps(context, key) {
+    if (context.snapshot) {
+        return readFromSnapshot(context.snapshot.alps[key], `ALPS profile of '${key}'`);
+    }
+    
+    return requestWithRetry(context, {url: `profile/${key}`})
+        .then(response => {
+            if (context.recording) {
+                context.recording.alps[key] = response.data;
+            }
+            return response.data;
+        });
+}
+
+/**
+ * Sends the given GET request, transient failures are retried with exponential backoff.
+ * Failures without a response, e.g. timeouts, and responses with status 429 or 5xx are considered transient.
+ *
+ * @param context The context of the generation run.
+ * @param config The axios request configuration.
+ * @returns {Promise<{}>} Promise for the response.
+ */
+async function requestWithRetry(context, config) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await context.axiosInstance.request(Object.assign({method: 'get'}, config));
+        } catch (error) {
+            const status = getStatus(error);
+            const transient = status === undefined || status === 429 || status >= 500;
+            
+            if (!transient || attempt >= context.options.retries) {
+                throw error;
+            }
+            
+            const delay = RETRY_BASE_DELAY * Math.pow(2, attempt);
+            context.logger.warn(`Request for '${config.url}' failed (${error.message}), retrying in ${delay} ms.`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Calls the given callback for each item, with at most the given number of calls pending at once.
+ * No further calls are started once a call failed.
+ *
+ * @param items The items to process.
+ * @param concurrency The maximum number of pending calls.
+ * @param callback The callback returning a promise for each item.
+ * @returns {Promise<[]>} Promise for the results in the order of the items.
+ */
+async function mapConcurrently(items, concurrency, callback) {
+    const results = [];
+    let nextIndex = 0;
+    let failed = false;
+    
+    const worker = async () => {
+        while (!failed && nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = await callback(items[index], index);
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    };
+    
+    await Promise.all(_.times(Math.max(1, Math.min(concurrency || 1, items.length)), worker));
+    
+    return results;
+}
+
+/**
+ * Resolves the given document from the loaded snapshot, rejects if it was not recorded.
+ *
+ * @param document The document from the snapshot, may be undefined.
+ * @param description A description of the document used in the error message.
+ * @returns {Promise<{}>} Promise for the document.
+ */
+function readFromSnapshot(document, description) {
+    if (document === undefined) {
+        return Promise.reject(new Error(`The snapshot does not contain the ${description}.`));
+    }
+    
+    return Promise.resolve(document);
+}
+
+/**
+ * Writes the recorded documents to the given snapshot file.
+ *
+ * @param context The context of the generation run.
+ * @param file The path of the snapshot file. Missing parent directories are created.
+ */
+function writeSnapshot(context, file) {
+    // Documents are collected concurrently, sort them to keep the snapshot stable.
+    const recording = {
+        'profile': context.recording.profile,
+        'schemas': sortKeys(context.recording.schemas),
+        'alps': sortKeys(context.recording.alps)
+    };
+    
+    fs.mkdirSync(path.dirname(file), {recursive: true});
+    fs.writeFileSync(file, JSON.stringify(recording, null, 2) + '\n');
+    context.logger.log(`Recorded snapshot to '${file}'.`);
+}
+
+/**
+ * Returns a copy of the given object with its keys sorted.
+ *
+ * @param object The object to sort.
+ * @returns {{}} The sorted copy.
+ */
+function sortKeys(object) {
+    return _.fromPairs(_.sortBy(_.toPairs(object), 0));
+}
+
+/**
+ * Returns the HTTP status of a failed request.
+ *
+ * @param error The error a request was rejected with.
+ * @returns {number|undefined} The HTTP status, undefined if no response was received.
+ */
+function getStatus(error) {
+    return error && error.response ? error.response.status : undefined;
+}
+
+/**
+ * Logs a warning about something skipped or guessed and records it for the summary of the generation run.
+ * Warnings are identified by their code, so reports of different runs can be compared.
+ *
+ * @param context The context of the generation run.
+ * @param code The code of the warning, e.g. 'unresolved-association'.
+ * @param message The message of the warning.
+ * @param repository The name of the repository the warning refers to, if any.
+ */
+function warn(context, code, message, repository) {
+    context.warnings.push({'code': code, 'repository': repository, 'message': message});
+    context.logger.warn(message);
+}
+
+/**
+ * Pre-Processes schemas according to the given configuration.
  *
  * @param entities An array of objects with repository names, schemas and ALPS profiles.
  * @param config The loaded configuration.
@@ -329,172 +1268,2199 @@ function preProcessSchemas(entities, config) {
 }
 
 /**
- * Remove the title properties from object attributes that do not have a $ref property set.
- * This causes json-schema-to-typescript not to generate aliases for trivial types like string, number or boolean.
+ * Applies the per-repository configuration to the entities.
+ * Sets the class name, file name and json-schema-to-typescript options, if they are overridden.
  *
- * @param object
+ * @param entities An array of objects with repository names, schemas and ALPS profiles.
+ * @param config The loaded configuration.
  */
-function removeTrivialTitles(object) {
-    for (const key of Object.keys(object)) {
-        const property = object[key];
-        if (!property['$ref']) {
-            delete property.title;
+function applyRepositoryConfiguration(entities, config) {
+    for (const key in entities) {
+        const element = entities[key];
+        const repositoryConfig = getRepositoryConfiguration(config, key);
+        
+        if (repositoryConfig.className) {
+            element['className'] = repositoryConfig.className;
+            // json-schema-to-typescript names the interface after the schema title.
+            element.schema.title = repositoryConfig.className;
         }
-        if (property.properties) {
-            removeTrivialTitles(property.properties);
+        if (repositoryConfig.fileName) {
+            element['fileName'] = repositoryConfig.fileName;
         }
+        element['jsonSchemaToTypescript'] = repositoryConfig.jsonSchemaToTypescript || {};
     }
 }
 
 /**
- * Post processes TypeScript files.
- * Replaces all references to other types with the respective types.
+ * Detects the entity hierarchies, i.e. subtypes extending a base entity, e.g. mapped by JPA inheritance and
+ * serialized with a type property by Jackson. Subtypes are determined in the following order:
  *
- * @param entities The list of all entities.
- * @param entity The entity to process.
- * @param renderedClass The rendered TypeScript class.
- * @param modelDir The model directory.
- * @returns {*} The modified class.
+ * 1. Alternatives listed by 'oneOf' or 'anyOf' in the schema of the base entity. Alternatives named like another
+ *    entity refer to the repository of that entity, all others are generated along with the base entity.
+ * 2. Repositories configured to extend another repository with 'extends'.
+ * 3. If 'detectHierarchies' is set, repositories whose schema contains all properties of the schema of another
+ *    repository and a single value for one of its other properties, the discriminator. The base entity with the
+ *    most properties is chosen. Such guesses are warned about, they are disabled for repositories configured with
+ *    'extends' set to false.
+ *
+ * The discriminator of the base entity is typed as union of the values of its subtypes, the discriminator of each
+ * subtype as its value. Values are taken from the schema of the subtype, configured with 'discriminatorValue',
+ * or default to the name of the subtype like the type names of Jackson.
+ *
+ * @param context The context of the generation run.
+ * @param entities The collected entities by repository name.
  */
-function postProcessTypeScriptFiles(entities, entity, renderedClass, modelDir) {
-    for (const property of entity['alps'][descriptorName][0][descriptorName]) {
-        if ('rt' in property) {
-            const propertyName = property['name'];
-            let referencedEntity = property['rt'].match(REGEXP_RT_ENTITY_NAME)[0];
-            let newPropertyType;
-            
-            referencedEntity = upperCamelCase(referencedEntity);
-            
-            if (pluralize.isPlural(propertyName)) {
-                newPropertyType = `${referencedEntity}[]`;
-            } else {
-                newPropertyType = `${referencedEntity}`;
+function populateHierarchies(context, entities) {
+    const options = context.options;
+    
+    for (const key in entities) {
+        populateAlternativeSubtypes(context, entities, key);
+    }
+    for (const key in entities) {
+        const element = entities[key];
+        const configured = getRepositoryConfiguration(options, key).extends;
+        
+        if (element.supertype || configured === false) {
+            continue;
+        }
+        if (configured) {
+            if (!(configured in entities) || configured === key) {
+                throw new ConfigurationError(`Repository '${key}' extends '${configured}', which is not generated.`,
+                                             {repository: key, exitCode: 2});
             }
-            
-            const oldTypeMatches = renderedClass.match(new RegExp('(' + propertyName + STR_APPEND_REGEXP_TYPESCRIPT_PROPERTY_TYPE,
-                                                                  'm'));
-            const exportRemoved = renderedClass.replace(new RegExp(
-                STR_REGEXP_TYPESCRIPT_EXPORT_TYPE.replace('$$@$$',
-                                                          oldTypeMatches[2]),
-                ''), '');
-            const typeReplaced = exportRemoved.replace(new RegExp(escapeRegExp(
-                oldTypeMatches[0]), 'g'),
-                                                       oldTypeMatches[1] + newPropertyType + oldTypeMatches[3]);
-            
-            const newImport = `import { ${referencedEntity} } from './${_.kebabCase(
-                referencedEntity)}';`;
-            
-            if (typeReplaced.includes(newImport)) {
-                renderedClass = typeReplaced
-            } else {
-                renderedClass = typeReplaced.replace(STR_IMPORT_REPLACE,
-                                                     `${STR_IMPORT_REPLACE}\n${newImport}`);
+            const discriminator = entities[configured].discriminator
+                || getRepositoryConfiguration(options, configured).discriminator || 'type';
+            linkSubtype(entities, configured, key, discriminator, getDiscriminatorValue(context, element, discriminator));
+            continue;
+        }
+        
+        // Unrelated entities may share properties by chance, e.g. auditing columns, so guessing is opt-in.
+        if (!options.detectHierarchies) {
+            continue;
+        }
+        const detected = detectSupertype(context, entities, key);
+        if (detected) {
+            warn(context, 'guessed-hierarchy', `Repository '${key}' is assumed to extend '${detected.key}' by the`
+                                               + ' properties of their schemas, configure \'extends\' to confirm or'
+                                               + ' disable this.', key);
+            linkSubtype(entities, detected.key, key, detected.discriminator,
+                        getDiscriminatorValue(context, element, detected.discriminator));
+        }
+    }
+    
+    // Configured hierarchies may contain cycles.
+    for (const key in entities) {
+        const visited = [key];
+        for (let current = entities[key].supertype; current; current = entities[current].supertype) {
+            if (visited.includes(current)) {
+                throw new ConfigurationError(`The hierarchy of '${key}' contains a cycle.`,
+                                             {repository: key, exitCode: 2});
             }
+            visited.push(current);
+        }
+    }
+    
+    // Properties are inherited if they equal the properties of the base entity, before discriminators are typed.
+    for (const key in entities) {
+        const element = entities[key];
+        
+        if (element.supertype) {
+            const base = entities[element.supertype];
+            element['inheritedProperties'] = getInheritedProperties(base, element.schema);
+            context.logger.log(`Entity '${element.name}' extends '${base.name}' as ${base.discriminator}`
+                                   + ` ${JSON.stringify(element.discriminatorValue)}.`);
+        }
+        for (const subtype of element.inlineSubtypes || []) {
+            subtype['inheritedProperties'] = getInheritedProperties(element, subtype.schema);
+            context.logger.log(`Subtype '${subtype.name}' extends '${element.name}' as ${element.discriminator}`
+                                   + ` ${JSON.stringify(subtype.value)}.`);
         }
     }
     
-    return renderedClass;
+    for (const key in entities) {
+        const element = entities[key];
+        
+        if (element.supertype) {
+            setDiscriminator(element.schema, entities[element.supertype].discriminator,
+                             [element.discriminatorValue].concat(getDescendantValues(entities, key)), true);
+        } else if (element.discriminator) {
+            setDiscriminator(element.schema, element.discriminator, getDescendantValues(entities, key), false);
+        }
+        for (const subtype of element.inlineSubtypes || []) {
+            setDiscriminator(subtype.schema, element.discriminator, [subtype.value], true);
+        }
+    }
 }
 
 /**
- * Generates TypeScript classes in the 'model' directory from the given JSON schemas.
+ * Populates the subtypes given as alternatives by 'oneOf' or 'anyOf' in the schema of an entity. The alternatives
+ * are removed from the schema, so the entity is generated as base entity.
  *
- * @param entities The array of entities, must match the schemas array.
- * @param outputDir The output directory to use. Models are generated in the 'model' subdirectory.
- * @param modelDir The name of the model directory.
- * @param serviceDir The name of the service directory.
+ * @param context The context of the generation run.
+ * @param entities The collected entities by repository name.
+ * @param key The name of the repository.
  */
-async function generateTypeScriptFromSchema(entities, outputDir, modelDir, serviceDir) {
-    console.log(`Generating files.`);
+function populateAlternativeSubtypes(context, entities, key) {
+    const element = entities[key];
+    const schema = element.schema;
+    const alternatives = schema.oneOf || schema.anyOf;
     
-    const classTemplateString = fs.readFileSync(PATH_CLASS_TEMPLATE).toString();
-    const serviceTemplateString = fs.readFileSync(PATH_SERVICE_TEMPLATE).toString();
-    const modelsTemplateString = fs.readFileSync(PATH_MODELS_TEMPLATE).toString();
-    const servicesTemplateString = fs.readFileSync(PATH_SERVICES_TEMPLATE).toString();
-    const modelsTemplateData = {'models': []};
-    const servicesTemplateData = {'services': []};
+    if (!Array.isArray(alternatives) || alternatives.length === 0) {
+        return;
+    }
     
-    for (const key in entities) {
-        const element = entities[key];
-        
-        // Apply json-schema-to-typescript conversion.
-        let interfaceDefinition = await jsonTs.compile(element.schema,
-                                                       element.name,
-                                                       {bannerComment: null});
-        
-        // Add I to the beginning of each class name to indicate interface.
-        interfaceDefinition = interfaceDefinition.replace(
-            REGEXP_TYPESCRIPT_INTERFACE_NAME,
-            '$1I$2$3');
-        
-        // Construct filename for generated interface file.
-        let matches = interfaceDefinition.match(REGEXP_TYPESCRIPT_INTERFACE_NAME);
-        
-        const interfaceName = matches[2];
-        const className = interfaceName.substr(1);
-        const classNameKebab = _.kebabCase(className);
-        
-        // Extract the attributes from the interface file
-        matches = interfaceDefinition.match(
-            REGEXP_TYPESCRIPT_INTERFACE_ATTRIBUTES);
-        const classAttributes = matches[1];
+    const resolved = alternatives.map(alternative => {
+        const definitionName = alternative['$ref'] ? getDefinitionName(alternative['$ref']) : undefined;
+        const alternativeSchema = definitionName ? resolveDefinition(schema, alternative['$ref']) : alternative;
         
-        // Create class from template file.
-        const classTemplateData = {
-            'interfaceDefinition': interfaceDefinition,
-            'interfaceName': interfaceName,
-            'className': className,
-            'classAttributes': classAttributes
+        return {
+            'definitionName': definitionName,
+            'schema': alternativeSchema,
+            'name': alternativeSchema && upperCamelCase(alternativeSchema.title || definitionName || '')
         };
-        const renderedClass = postProcessTypeScriptFiles(entities,
-                                                         element,
-                                                         mustache.render(
-                                                             classTemplateString,
-                                                             classTemplateData),
-                                                         modelDir);
-        const classFileName = `${classNameKebab}.ts`;
+    });
+    if (resolved.some(alternative => !alternative.schema || !alternative.name)) {
+        warn(context, 'unresolved-subtypes', `The alternatives of '${key}' cannot be resolved, they have to be named`
+                                             + ' by a title or a definition. Generating no subtypes.', key);
+        return;
+    }
+    
+    const discriminator = getRepositoryConfiguration(context.options, key).discriminator
+        || _.find(Object.keys(resolved[0].schema.properties || {}), name => resolved.every(
+            alternative => getSingleValue((alternative.schema.properties || {})[name]) !== undefined))
+        || 'type';
+    
+    delete schema.oneOf;
+    delete schema.anyOf;
+    element['discriminator'] = discriminator;
+    element['inlineSubtypes'] = [];
+    
+    for (const alternative of resolved) {
+        if (alternative.definitionName) {
+            delete schema.definitions[alternative.definitionName];
+        }
         
-        fs.writeFileSync(`${outputDir}/${modelDir}/${classFileName}`,
-                         renderedClass);
+        const value = getSingleValue((alternative.schema.properties || {})[discriminator]);
+        const subtypeKey = _.findKey(entities, other => other !== element && !other.supertype
+            && upperCamelCase(other.schema.title || other.name) === alternative.name);
         
-        // Create service from template file.
-        const serviceTemplateData = {
-            'className': className,
-            'classNameKebab': classNameKebab,
-            'modelDir': modelDir,
-            'repositoryName': element.repository
-        };
-        const renderedService = mustache.render(serviceTemplateString,
-                                                serviceTemplateData);
-        const serviceFileName = `${classNameKebab}.service.ts`;
-        fs.writeFileSync(`${outputDir}/${serviceDir}/${serviceFileName}`,
-                         renderedService);
+        if (subtypeKey) {
+            const subtype = entities[subtypeKey];
+            linkSubtype(entities, key, subtypeKey, discriminator,
+                        value !== undefined ? value : getDiscriminatorValue(context, subtype, discriminator));
+        } else {
+            element.inlineSubtypes.push({
+                                            'name': alternative.name,
+                                            'value': value !== undefined ? value : alternative.name,
+                                            'schema': _.cloneDeep(alternative.schema)
+                                        });
+        }
+    }
+}
+
+/**
+ * Determines the base entity of the given entity from the properties of the schemas. The schema of the subtype must
+ * contain all properties of the base entity and a single value for the discriminator, which the base entity does
+ * not restrict to a single value.
+ *
+ * @param context The context of the generation run.
+ * @param entities The collected entities by repository name.
+ * @param key The name of the repository of the possible subtype.
+ * @returns {{}|undefined} The name of the repository of the base entity and the discriminator, if any.
+ */
+function detectSupertype(context, entities, key) {
+    const properties = entities[key].schema.properties || {};
+    const candidates = [];
+    
+    for (const baseKey in entities) {
+        const baseProperties = entities[baseKey].schema.properties || {};
+        const configured = getRepositoryConfiguration(context.options, baseKey).discriminator
+            || entities[baseKey].discriminator;
+        const discriminator = _.find(configured ? [configured] : Object.keys(baseProperties), name =>
+            getSingleValue(properties[name]) !== undefined && getSingleValue(baseProperties[name]) === undefined);
+        const inherited = _.without(Object.keys(baseProperties), discriminator);
         
-        // Append to models and services list
-        modelsTemplateData.models.push({
-                                           'modelClass': interfaceName,
-                                           'modelDir': modelDir,
-                                           'modelFile': classNameKebab
-                                       });
-        modelsTemplateData.models.push({
-                                           'modelClass': className,
-                                           'modelDir': modelDir,
-                                           'modelFile': classNameKebab
-                                       });
-        servicesTemplateData.services.push({
-                                               'modelClass': className,
-                                               'serviceDir': serviceDir,
-                                               'modelFile': classNameKebab
-                                           });
+        if (baseKey !== key && discriminator && inherited.length > 0
+            && inherited.every(name => _.isEqual(baseProperties[name], properties[name]))) {
+            candidates.push({'key': baseKey, 'discriminator': discriminator, 'count': inherited.length});
+        }
     }
     
-    // Render list of models and services
-    const renderedModel = mustache.render(modelsTemplateString,
-                                          modelsTemplateData);
-    fs.writeFileSync(`${outputDir}/${modelDir}.ts`, renderedModel);
-    const renderedServices = mustache.render(servicesTemplateString,
-                                             servicesTemplateData);
-    fs.writeFileSync(`${outputDir}/${serviceDir}.ts`, renderedServices);
+    return _.maxBy(candidates, 'count');
+}
+
+/**
+ * Links the given subtype to its base entity.
+ *
+ * @param entities The collected entities by repository name.
+ * @param baseKey The name of the repository of the base entity.
+ * @param key The name of the repository of the subtype.
+ * @param discriminator The name of the discriminator property, the discriminator of the base entity takes precedence.
+ * @param value The discriminator value of the subtype.
+ */
+function linkSubtype(entities, baseKey, key, discriminator, value) {
+    const base = entities[baseKey];
+    const element = entities[key];
+    
+    base['discriminator'] = base.discriminator || discriminator;
+    base['subtypes'] = (base.subtypes || []).concat(key);
+    element['supertype'] = baseKey;
+    element['discriminatorValue'] = value;
+}
+
+/**
+ * Determines the discriminator value of a subtype from its schema or configuration,
+ * defaults to the name of the subtype.
+ *
+ * @param context The context of the generation run.
+ * @param element The subtype.
+ * @param discriminator The name of the discriminator property.
+ * @returns {*} The discriminator value.
+ */
+function getDiscriminatorValue(context, element, discriminator) {
+    const configured = getRepositoryConfiguration(context.options, element.repository).discriminatorValue;
+    const value = getSingleValue((element.schema.properties || {})[discriminator]);
+    
+    return _.find([configured, value, upperCamelCase(element.schema.title || element.name)],
+                  candidate => candidate !== undefined);
+}
+
+/**
+ * Returns the class names, files and discriminator values of the subtypes of the given entity.
+ * Must be called after the schemas are compiled.
+ *
+ * @param entities The collected entities by repository name.
+ * @param key The name of the repository.
+ * @param recursive Whether subtypes of subtypes are included, e.g. to instantiate resources by their discriminator.
+ * @returns {[]} The subtypes.
+ */
+function getSubtypes(entities, key, recursive) {
+    const element = entities[key];
+    
+    return _.flatMap(element.subtypes || [], subtypeKey => [{
+        'className': entities[subtypeKey].className,
+        'fileName': entities[subtypeKey].fileName,
+        'value': toTypeScriptLiteral(entities[subtypeKey].discriminatorValue)
+    }].concat(recursive ? getSubtypes(entities, subtypeKey, true) : []))
+        .concat((element.inlineSubtypeModels || []).map(subtype => ({
+            'className': subtype.className,
+            'fileName': subtype.fileName,
+            'value': toTypeScriptLiteral(subtype.value)
+        })));
+}
+
+/**
+ * Returns the discriminator values of all subtypes of the given entity, including subtypes of subtypes.
+ *
+ * @param entities The collected entities by repository name.
+ * @param key The name of the repository.
+ * @returns {[]} The discriminator values.
+ */
+function getDescendantValues(entities, key) {
+    const element = entities[key];
+    
+    return (element.inlineSubtypes || []).map(subtype => subtype.value)
+        .concat(_.flatMap(element.subtypes || [], subtypeKey => [entities[subtypeKey].discriminatorValue]
+            .concat(getDescendantValues(entities, subtypeKey))));
+}
+
+/**
+ * Returns the properties of the given schema equal to the properties of the base entity, except the discriminator.
+ *
+ * @param base The base entity.
+ * @param schema The JSON schema of the subtype.
+ * @returns {string[]} The names of the inherited properties.
+ */
+function getInheritedProperties(base, schema) {
+    const properties = schema.properties || {};
+    
+    return _.toPairs(base.schema.properties || {})
+        .filter(([name, property]) => name !== base.discriminator && _.isEqual(property, properties[name]))
+        .map(([name]) => name);
+}
+
+/**
+ * Types the discriminator property of the given schema as union of the given values.
+ * Other type information and the title of the property are removed, so it is neither mapped, shared nor declared
+ * as type alias, which would clash with the aliases of subtypes generated along with the base entity.
+ *
+ * @param schema The JSON schema.
+ * @param discriminator The name of the discriminator property.
+ * @param values The discriminator values.
+ * @param required Whether the discriminator is required.
+ */
+function setDiscriminator(schema, discriminator, values, required) {
+    const property = (schema.properties || {})[discriminator] || {};
+    
+    schema.properties = schema.properties || {};
+    schema.properties[discriminator] = Object.assign(_.pick(property, ['description', 'readOnly']), {
+        'enum': _.uniq(values),
+        'tsType': _.uniq(values).map(toTypeScriptLiteral).join(' | ') || 'string'
+    });
+    if (required) {
+        schema.required = _.union(schema.required || [], [discriminator]);
+    }
+}
+
+/**
+ * Returns the single value the given JSON schema allows, i.e. its constant or the value of an enum of one value.
+ *
+ * @param property The JSON schema of the property, may be undefined.
+ * @returns {*} The value, undefined if more or less than one value is allowed.
+ */
+function getSingleValue(property) {
+    if (!property) {
+        return undefined;
+    }
+    if (property.const !== undefined) {
+        return property.const;
+    }
+    return Array.isArray(property.enum) && property.enum.length === 1 ? property.enum[0] : undefined;
+}
+
+/**
+ * Populates the search methods of each entity from the search resources advertised in its ALPS profile.
+ * Search resources are SAFE descriptors without an id, their nested descriptors name the request parameters.
+ *
+ * Whether a search returns a single item or a collection is not part of the metadata. Searches following the
+ * Spring Data naming scheme for single results (e.g. findFirstBy..., findTopBy... or findOneBy...) are
+ * treated as single item searches, searches accepting paging parameters and all others as collection searches.
+ * This can be overridden per repository with the 'searchResults' configuration, guesses by name are warned about.
+ *
+ * @param context The context of the generation run.
+ * @param entities An array of objects with repository names, schemas and ALPS profiles.
+ */
+function populateSearchMethods(context, entities) {
+    const config = context.options;
+    const descriptorName = context.descriptorName;
+    
+    for (const key in entities) {
+        const element = entities[key];
+        const searchResults = getRepositoryConfiguration(config, key).searchResults || {};
+        const serviceMembers = TARGETS[config.target || DEFAULT_TARGET].serviceMembers
+            .concat(PROJECTION_SERVICE_MEMBERS);
+        
+        element['searchMethods'] = [];
+        
+        for (const descriptor of element['alps'][descriptorName]) {
+            if (descriptor['id'] || descriptor['type'] !== 'SAFE') {
+                continue;
+            }
+            
+            const name = descriptor['name'];
+            if (serviceMembers.includes(name)) {
+                warn(context, 'search-conflict',
+                     `Search '${name}' of '${key}' conflicts with a member of the service and is skipped.`, key);
+                continue;
+            }
+            
+            const parameterDescriptors = descriptor[descriptorName] || [];
+            const parameters = parameterDescriptors
+                .filter(parameter => !PAGING_PARAMETERS.includes(parameter['name']))
+                .map(parameter => ({
+                    'name': parameter['name'],
+                    'type': getParameterType(element.schema, parameter['name'])
+                }));
+            let collection = !REGEXP_SINGLE_RESULT_SEARCH.test(name);
+            
+            if (name in searchResults) {
+                collection = searchResults[name] === 'collection';
+            } else if (parameterDescriptors.some(parameter => PAGING_PARAMETERS.includes(parameter['name']))) {
+                collection = true;
+            } else {
+                warn(context, 'guessed-search-result',
+                     `Search '${name}' of '${key}' is assumed to return ${collection ? 'a collection' : 'a single item'}`
+                     + ` by its name, configure 'searchResults' to override.`, key);
+            }
+            
+            element['searchMethods'].push({
+                                              'name': name,
+                                              'parameters': parameters,
+                                              'collection': collection
+                                          });
+        }
+    }
+}
+
+/**
+ * Populates the projections of each entity advertised in its ALPS profile.
+ * Projections are listed as nested descriptors of the 'projection' parameter of the GET descriptors,
+ * their nested descriptors name the properties of the projection.
+ *
+ * @param context The context of the generation run.
+ * @param entities An array of objects with repository names, schemas and ALPS profiles.
+ */
+function populateProjections(context, entities) {
+    const descriptorName = context.descriptorName;
+    
+    for (const key in entities) {
+        const element = entities[key];
+        const projections = {};
+        
+        for (const descriptor of element['alps'][descriptorName]) {
+            for (const parameter of descriptor[descriptorName] || []) {
+                if (parameter['name'] !== 'projection') {
+                    continue;
+                }
+                
+                for (const projection of parameter[descriptorName] || []) {
+                    projections[projection['name']] = (projection[descriptorName] || [])
+                        .map(property => property['name']);
+                }
+            }
+        }
+        
+        element['projections'] = Object.keys(projections)
+            .map(name => ({
+                'name': name,
+                'properties': projections[name]
+            }));
+    }
+}
+
+/**
+ * Names the projection interfaces of all entities. Projections are prefixed with the class name of their entity,
+ * unless their name starts with it already, e.g. 'summary' of 'Order' becomes 'OrderSummary'.
+ * The models list exports all projections, so their names must not clash with each other, the classes, interfaces,
+ * unions and projection maps of the entities or the shared types. Neither must they clash with the types declared
+ * in the model file of their entity. Clashing names are suffixed with 'Projection' and a number if required.
+ *
+ * @param entities The collected entities by repository name, their schemas must have been compiled.
+ * @param sharedTypes The shared types.
+ */
+function nameProjections(entities, sharedTypes) {
+    const reserved = _.flatMap(entities, element => [element.className,
+                                                     element.interfaceName,
+                                                     `${element.className}Union`,
+                                                     `${element.className}Projections`]
+        .concat(_.flatMap(element.inlineSubtypeModels || [], subtype => [subtype.className, subtype.interfaceName])))
+        .concat(sharedTypes.map(sharedType => sharedType.typeName));
+    
+    for (const key in entities) {
+        const element = entities[key];
+        const declared = (element.interfaceDefinition.match(REGEXP_TYPESCRIPT_DECLARATIONS) || [])
+            .map(declaration => declaration.split(/\s+/).pop());
+        
+        for (const projection of element.projections) {
+            const projectionName = upperCamelCase(projection.name);
+            const baseName = projectionName.startsWith(element.className)
+                ? projectionName
+                : element.className + projectionName;
+            
+            let interfaceName = baseName;
+            for (let index = 1; reserved.includes(interfaceName) || declared.includes(interfaceName); index++) {
+                interfaceName = `${baseName}Projection${index > 1 ? index : ''}`;
+            }
+            
+            reserved.push(interfaceName);
+            projection['interfaceName'] = interfaceName;
+        }
+    }
+}
+
+/**
+ * Determines the TypeScript type of a search parameter.
+ * If the parameter is named after a property of the entity, the type of the property is used, string otherwise.
+ * Enum properties are typed as union of their values.
+ *
+ * @param schema The JSON schema of the entity.
+ * @param parameterName The name of the search parameter.
+ * @returns {string} The TypeScript type of the parameter.
+ */
+function getParameterType(schema, parameterName) {
+    const property = (schema.properties || {})[parameterName] || {};
+    
+    if (property.enum) {
+        return property.enum.map(toTypeScriptLiteral).join(' | ');
+    }
+    switch (property.type) {
+        case 'integer':
+        case 'number':
+            return 'number';
+        case 'boolean':
+            return 'boolean';
+        default:
+            return 'string';
+    }
+}
+
+/**
+ * Determines the form controls of an entity and their validators from the constraints of its JSON schema.
+ * Read-only properties and associations are omitted. Embeddables, i.e. objects with properties of their own,
+ * become nested form groups.
+ * Patterns are passed as string to Validators.pattern, which matches the whole value like bean validation does.
+ *
+ * @param element The entity, its associations must have been resolved.
+ * @returns {[]} An array of objects containing name, key, accessor, validators, controlType and control of each
+ * control.
+ */
+function getFormControls(element) {
+    const associationNames = element.associations.map(association => association.name);
+    
+    return getObjectFormControls(element.schema, {
+        'properties': _.omit(element.schema.properties || {}, associationNames),
+        'required': element.schema.required
+    }, 'value', '', '    ', []);
+}
+
+/**
+ * Determines the form controls of the properties of an object, see getFormControls.
+ *
+ * @param schema The JSON schema of the entity, used to resolve references.
+ * @param object The JSON schema of the object.
+ * @param value The TypeScript expression of the value of the object.
+ * @param guard The TypeScript condition guarding the value against undefined enclosing objects, if nested.
+ * @param indent The indentation of the controls.
+ * @param visited The names of the definitions resolved so far, recursive definitions are not nested again.
+ * @returns {[]} An array of objects containing name, key, accessor, validators, controlType and control of each
+ * control.
+ */
+function getObjectFormControls(schema, object, value, guard, indent, visited) {
+    const schemaProperties = object.properties || {};
+    const requiredProperties = object.required || [];
+    
+    return Object.keys(schemaProperties)
+        .filter(name => schemaProperties[name].readOnly !== true)
+        .map(name => {
+            let property = schemaProperties[name];
+            let definitionVisited = visited;
+            if (property['$ref']) {
+                const definitionName = getDefinitionName(property['$ref']);
+                definitionVisited = visited.includes(definitionName) ? undefined : visited.concat(definitionName);
+                property = resolveDefinition(schema, property['$ref']) || {};
+            }
+            
+            const identifier = REGEXP_TYPESCRIPT_IDENTIFIER.test(name);
+            const accessor = identifier ? `.${name}` : `[${toStringLiteral(name)}]`;
+            const control = {
+                'name': name,
+                'key': toPropertyKey(name),
+                'accessor': accessor
+            };
+            
+            // The value of a nested group is never empty, required embeddables are therefore not validated.
+            const controls = definitionVisited && !property.tsType
+                ? getObjectFormControls(schema, property, value + accessor, `${guard}${value}${accessor} && `,
+                                        indent + '  ', definitionVisited)
+                : [];
+            if (controls.length > 0) {
+                const lines = controls.map(nested => `${indent}  ${nested.key}: ${nested.control},\n`);
+                return Object.assign(control, {
+                    'validators': '',
+                    'controlType': 'FormGroup',
+                    'control': `new FormGroup({\n${lines.join('')}${indent}})`
+                });
+            }
+            
+            const validators = [];
+            if (requiredProperties.includes(name)) {
+                validators.push('Validators.required');
+            }
+            // Constraints of the JSON representation do not apply to values of mapped types.
+            if (!property.tsType) {
+                validators.push(...getConstraintValidators(property));
+            }
+            
+            return Object.assign(control, {
+                'validators': validators.join(', '),
+                'controlType': 'FormControl',
+                'control': `new FormControl(${guard}${value}${accessor} !== undefined ? ${value}${accessor} : null,`
+                           + ` [${validators.join(', ')}])`
+            });
+        });
+}
+
+/**
+ * Determines the validators of the constraints of a JSON schema property, except for required.
+ *
+ * @param property The JSON schema of the property.
+ * @returns {string[]} The validators as TypeScript source.
+ */
+function getConstraintValidators(property) {
+    const validators = [];
+    
+    if (property.minLength !== undefined) {
+        validators.push(`Validators.minLength(${property.minLength})`);
+    }
+    if (property.maxLength !== undefined) {
+        validators.push(`Validators.maxLength(${property.maxLength})`);
+    }
+    if (property.minimum !== undefined) {
+        validators.push(`Validators.min(${property.minimum})`);
+    }
+    if (property.maximum !== undefined) {
+        validators.push(`Validators.max(${property.maximum})`);
+    }
+    if (property.pattern !== undefined) {
+        validators.push(`Validators.pattern(${toStringLiteral(property.pattern)})`);
+    }
+    if (property.format === 'email') {
+        validators.push('Validators.email');
+    } else if (property.format in FORMAT_VALIDATORS) {
+        validators.push(FORMAT_VALIDATORS[property.format]);
+    }
+    if ([].concat(property.type).includes('integer')) {
+        validators.push('SchemaValidators.integer');
+    }
+    if (property.enum) {
+        const values = property.enum.map(value => typeof value === 'string' ? toStringLiteral(value) : value);
+        validators.push(`SchemaValidators.oneOf([${values.join(', ')}])`);
+    }
+    
+    return validators;
+}
+
+/**
+ * Determines fixture values of an entity satisfying the constraints of its JSON schema.
+ * Associations are omitted, they are represented by links.
+ * Values are given in their JSON representation, values containing converted types or shared enums are therefore
+ * cast to any.
+ *
+ * @param element The entity, its associations must have been resolved.
+ * @param options The command line parameters and further configuration.
+ * @returns {[]} An array of objects containing key and value of each property as TypeScript source.
+ */
+function getFixtureProperties(element, options) {
+    const schemaProperties = element.schema.properties || {};
+    const associationNames = element.associations.map(association => association.name);
+    
+    return Object.keys(schemaProperties)
+        .filter(name => !associationNames.includes(name))
+        .map(name => {
+            const value = toTypeScriptLiteral(getFixtureValue(element.schema, schemaProperties[name], name, 0));
+            const mapped = !!getConversions(options.typeMappings, element.schema, schemaProperties[name], [])
+                || (options.sharedTypes && containsEnum(element.schema, schemaProperties[name], []));
+            
+            return {
+                'key': toPropertyKey(name),
+                'value': mapped ? `${value} as any` : value
+            };
+        });
+}
+
+/**
+ * Determines a fixture value of a JSON schema property satisfying its constraints, except for patterns.
+ *
+ * @param schema The JSON schema of the entity, used to resolve references.
+ * @param property The JSON schema of the property.
+ * @param name The name of the property.
+ * @param depth The depth of nested objects, nested objects are empty beyond a depth of 3.
+ * @returns {*} The fixture value.
+ */
+function getFixtureValue(schema, property, name, depth) {
+    if (property['$ref']) {
+        property = resolveDefinition(schema, property['$ref']) || {};
+    }
+    if (property.enum) {
+        return property.enum[0];
+    }
+    
+    switch ([].concat(property.type)[0] || (property.properties ? 'object' : undefined)) {
+        case 'string': {
+            const value = FORMAT_FIXTURE_VALUES[property.format] || _.padEnd(name, property.minLength || 0, 'x');
+            return property.maxLength !== undefined ? value.substr(0, property.maxLength) : value;
+        }
+        case 'integer':
+        case 'number': {
+            const value = property.minimum !== undefined ? property.minimum : Math.min(1, _.defaultTo(property.maximum, 1));
+            return property.type === 'integer' ? Math.ceil(value) : value;
+        }
+        case 'boolean':
+            return false;
+        case 'array':
+            return [];
+        case 'object':
+            return depth >= 3 ? {} : _.mapValues(property.properties || {},
+                                                 (nested, nestedName) => getFixtureValue(schema, nested, nestedName,
+                                                                                         depth + 1));
+        default:
+            return null;
+    }
+}
+
+/**
+ * Determines whether the given property, its nested properties or items are enums.
+ *
+ * @param schema The JSON schema of the entity, used to resolve references.
+ * @param property The JSON schema of the property.
+ * @param visited The names of the definitions resolved so far.
+ * @returns {boolean} Whether the property contains enums.
+ */
+function containsEnum(schema, property, visited) {
+    if (property['$ref']) {
+        const definitionName = getDefinitionName(property['$ref']);
+        const definition = resolveDefinition(schema, property['$ref']);
+        
+        return !!definition && !visited.includes(definitionName)
+            && containsEnum(schema, definition, visited.concat(definitionName));
+    }
+    
+    return !!property.enum
+        || _.some(property.properties, nested => containsEnum(schema, nested, visited))
+        || [].concat(property.items || []).some(items => containsEnum(schema, items, visited));
+}
+
+/**
+ * Returns the given JSON value as TypeScript literal, strings are enclosed in single quotes.
+ *
+ * @param value The value to convert.
+ * @returns {string} The literal.
+ */
+function toTypeScriptLiteral(value) {
+    if (typeof value === 'string') {
+        return toStringLiteral(value);
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(toTypeScriptLiteral).join(', ')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const properties = Object.keys(value).map(key => {
+            return `${toPropertyKey(key)}: ${toTypeScriptLiteral(value[key])}`;
+        });
+        return `{${properties.join(', ')}}`;
+    }
+    
+    return String(value);
+}
+
+/**
+ * Returns the given string as TypeScript string literal in single quotes.
+ *
+ * @param string The string to convert.
+ * @returns {string} The string literal.
+ */
+function toStringLiteral(string) {
+    return `'${String(string).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+}
+
+/**
+ * Returns the given name as TypeScript property key, i.e. as is if it is an identifier, quoted otherwise.
+ *
+ * @param name The name of the property.
+ * @returns {string} The property key.
+ */
+function toPropertyKey(name) {
+    return REGEXP_TYPESCRIPT_IDENTIFIER.test(name) ? name : toStringLiteral(name);
+}
+
+/**
+ * Returns the configuration for the given repository, or an empty object if none is configured.
+ *
+ * @param config The loaded configuration.
+ * @param key The name of the repository.
+ * @returns {{}} The repository configuration.
+ */
+function getRepositoryConfiguration(config, key) {
+    return (config.repositories || {})[key] || {};
+}
+
+/**
+ * Remove the title properties from object attributes that do not have a $ref property set.
+ * This causes json-schema-to-typescript not to generate aliases for trivial types like string, number or boolean.
+ *
+ * @param object
+ */
+function removeTrivialTitles(object) {
+    for (const key of Object.keys(object)) {
+        const property = object[key];
+        if (!property['$ref']) {
+            delete property.title;
+        }
+        if (property.properties) {
+            removeTrivialTitles(property.properties);
+        }
+    }
+}
+
+/**
+ * Applies the configured type mappings to the JSON schemas of the entities.
+ * A property is mapped by its format or, if its format is not mapped, by its type. Enums and associations are
+ * not mapped. Mapped properties get the mapped TypeScript type, the import statements required by the mappings
+ * used by an entity are stored along with it.
+ *
+ * @param context The context of the generation run.
+ * @param entities The collected entities by repository name.
+ */
+function applyTypeMappings(context, entities) {
+    const mappings = context.options.typeMappings;
+    const descriptorName = context.descriptorName;
+    
+    for (const key in entities) {
+        const element = entities[key];
+        const associationNames = element['alps'][descriptorName][0][descriptorName]
+            .filter(descriptor => 'rt' in descriptor)
+            .map(descriptor => descriptor.name);
+        
+        _.forEach(element.schema.properties, (property, name) => {
+            if (!associationNames.includes(name)) {
+                applyTypeMapping(mappings, property);
+            }
+        });
+        _.forEach(element.schema.definitions, definition => applyTypeMapping(mappings, definition));
+        
+        element['typeImports'] = getTypeImports(mappings, getUsedTypeMappings(mappings, element.schema));
+    }
+}
+
+/**
+ * Applies the configured type mappings to the given property and its nested properties and items.
+ *
+ * @param mappings The configured type mappings.
+ * @param property The JSON schema of the property.
+ */
+function applyTypeMapping(mappings, property) {
+    if (!property || typeof property !== 'object' || property['$ref']) {
+        return;
+    }
+    
+    const mapping = getTypeMappingKey(mappings, property);
+    if (mapping) {
+        property.tsType = mappings[mapping].type;
+        return;
+    }
+    
+    _.forEach(property.properties, nested => applyTypeMapping(mappings, nested));
+    [].concat(property.items || []).forEach(items => applyTypeMapping(mappings, items));
+}
+
+/**
+ * Determines the type mappings applied to the given JSON schema.
+ *
+ * @param mappings The configured type mappings.
+ * @param schema The JSON schema, type mappings must have been applied.
+ * @returns {string[]} The distinct keys of the applied mappings.
+ */
+function getUsedTypeMappings(mappings, schema) {
+    return _.uniq(getSchemaNodes(schema)
+                      .filter(node => node.tsType)
+                      .map(node => getTypeMappingKey(mappings, node))
+                      .filter(mapping => mapping));
+}
+
+/**
+ * Returns the import statements of the given type mappings.
+ *
+ * @param mappings The configured type mappings.
+ * @param used The keys of the used mappings.
+ * @returns {string[]} The distinct import statements.
+ */
+function getTypeImports(mappings, used) {
+    return _.uniq(_.flatMap(used, mapping => [].concat(mappings[mapping].import || [])));
+}
+
+/**
+ * Returns the given JSON schema and all schemas nested in its properties, items and definitions.
+ *
+ * @param schema The JSON schema.
+ * @returns {[]} The schemas, parents precede their children.
+ */
+function getSchemaNodes(schema) {
+    if (!schema || typeof schema !== 'object') {
+        return [];
+    }
+    
+    const children = _.values(schema.properties)
+        .concat([].concat(schema.items || []))
+        .concat(_.values(schema.definitions));
+    return [schema].concat(_.flatMap(children, getSchemaNodes));
+}
+
+/**
+ * Determines the type mapping of the given property, mappings of its format take precedence.
+ *
+ * @param mappings The configured type mappings.
+ * @param property The JSON schema of the property.
+ * @returns {string|undefined} The key of the mapping, undefined if the property is not mapped.
+ */
+function getTypeMappingKey(mappings, property) {
+    if (property.enum) {
+        return undefined;
+    }
+    if (property.format && property.format in mappings) {
+        return property.format;
+    }
+    
+    const type = [].concat(property.type)[0];
+    return type && type in mappings ? type : undefined;
+}
+
+/**
+ * Determines the conversions of the given property and its nested properties and items.
+ * Arrays are converted element by element, so items share the conversion of the array.
+ *
+ * @param mappings The configured type mappings.
+ * @param schema The JSON schema of the entity, used to resolve references.
+ * @param property The JSON schema of the property, type mappings must have been applied.
+ * @param visited The names of the definitions resolved so far, recursive definitions are not converted again.
+ * @returns {{}|undefined} The deserialize and serialize expressions or the conversions of nested properties,
+ * undefined if nothing is converted.
+ */
+function getConversions(mappings, schema, property, visited) {
+    if (property['$ref']) {
+        const definitionName = getDefinitionName(property['$ref']);
+        const definition = resolveDefinition(schema, property['$ref']);
+        
+        return definition && !visited.includes(definitionName)
+            ? getConversions(mappings, schema, definition, visited.concat(definitionName))
+            : undefined;
+    }
+    if (property.items && !Array.isArray(property.items)) {
+        return getConversions(mappings, schema, property.items, visited);
+    }
+    if (property.tsType) {
+        const mapping = mappings[getTypeMappingKey(mappings, property)] || {};
+        const conversion = _.pickBy({'deserialize': mapping.deserialize, 'serialize': mapping.serialize});
+        return _.isEmpty(conversion) ? undefined : conversion;
+    }
+    
+    const properties = _.pickBy(_.mapValues(property.properties || {},
+                                            nested => getConversions(mappings, schema, nested, visited)));
+    return _.isEmpty(properties) ? undefined : {'properties': properties};
+}
+
+/**
+ * Returns the given conversions as TypeScript object literal.
+ *
+ * @param conversions The conversions by property name.
+ * @param indent The indentation of the closing brace.
+ * @returns {string} The object literal.
+ */
+function toConversionsLiteral(conversions, indent) {
+    const lines = Object.keys(conversions).map(name => {
+        const conversion = conversions[name];
+        const key = toPropertyKey(name);
+        
+        if (conversion.properties) {
+            return `${indent}  ${key}: {properties: ${toConversionsLiteral(conversion.properties, indent + '  ')}}`;
+        }
+        const members = ['deserialize', 'serialize']
+            .filter(member => conversion[member])
+            .map(member => `${member}: ${conversion[member]}`);
+        return `${indent}  ${key}: {${members.join(', ')}}`;
+    });
+    
+    return `{\n${lines.join(',\n')}\n${indent}}`;
+}
+
+/**
+ * Post processes TypeScript files.
+ * Replaces all references to other types in the interface definition with the respective types
+ * and populates the resolved associations of the entity.
+ * Whether an association references a single entity or an array of entities is determined by the JSON schema,
+ * Spring Data REST describes collection associations as arrays of URIs. The ALPS profile does not advertise the
+ * cardinality, a warning is printed if the JSON schema does not describe the association as link either.
+ * Associations to repositories that are not generated are typed as URI, i.e. string.
+ * Associations that cannot be resolved keep their original type and a warning is printed.
+ *
+ * @param context The context of the generation run.
+ * @param entities The list of all entities.
+ * @param entity The entity to process.
+ * @param interfaceDefinition The TypeScript interface definition generated from the schema.
+ * @returns {string} The modified interface definition.
+ */
+function postProcessTypeScriptFiles(context, entities, entity, interfaceDefinition) {
+    const descriptorName = context.descriptorName;
+    
+    entity['associations'] = [];
+    entity['associationTypings'] = [];
+    
+    for (const property of entity['alps'][descriptorName][0][descriptorName]) {
+        if ('rt' in property) {
+            const propertyName = property['name'];
+            const rtMatches = property['rt'].match(REGEXP_RT_ENTITY_NAME);
+            // Records how the association is typed for the summary of the generation run.
+            const addTyping = (typing, type, collection, inherited) => entity['associationTypings'].push({
+                'name': propertyName,
+                'rt': property['rt'],
+                'typing': typing,
+                'type': type,
+                'collection': collection,
+                'inherited': inherited
+            });
+            
+            if (!rtMatches) {
+                warn(context, 'unknown-association-type', `Association '${propertyName}' of '${entity.name}' has an`
+                                                          + ` unknown return type '${property['rt']}'. Keeping its`
+                                                          + ' original type.', entity.repository);
+                addTyping('original');
+                continue;
+            }
+            
+            const referencedName = rtMatches[1];
+            const referenced = _.find(entities, {'name': referencedName});
+            const repositoryMatches = property['rt'].match(REGEXP_RT_REPOSITORY_NAME);
+            const excluded = !referenced && !!repositoryMatches
+                && !isRepositoryIncluded(context, repositoryMatches[1]);
+            
+            if (!referenced && !excluded) {
+                warn(context, 'unresolved-association', `Association '${propertyName}' of '${entity.name}' references`
+                                                        + ` '${referencedName}', which is not generated. Keeping its`
+                                                        + ' original type.', entity.repository);
+                addTyping('original');
+                continue;
+            }
+            
+            const collection = isCollectionProperty(entity.schema, propertyName);
+            
+            if (collection === undefined) {
+                warn(context, 'association-not-in-schema', `Association '${propertyName}' of '${entity.name}' is not`
+                                                           + ' part of the JSON schema. Keeping its original type.',
+                     entity.repository);
+                addTyping('original');
+                continue;
+            }
+            if (!isLinkProperty(entity.schema, propertyName)) {
+                warn(context, 'cardinality-mismatch', `Association '${propertyName}' of '${entity.name}' is a link in`
+                                                      + ' the ALPS profile, but the JSON schema does not describe it'
+                                                      + ' as URI or array of URIs. Typing it as'
+                                                      + ` ${collection ? 'collection' : 'single'} association.`,
+                     entity.repository);
+            }
+            
+            const referencedEntity = excluded ? 'string' : referenced.className;
+            const newPropertyType = collection ? `${referencedEntity}[]` : referencedEntity;
+            const inherited = (entity.inheritedProperties || []).includes(propertyName);
+            
+            // Inherited associations are typed by the base entity.
+            if (inherited) {
+                if (!excluded) {
+                    entity['associations'].push(toAssociation(propertyName, referenced, collection, true));
+                }
+                addTyping(excluded ? 'uri' : 'entity', newPropertyType, collection, true);
+                continue;
+            }
+            
+            // Property names which are no identifiers are quoted by json-schema-to-typescript.
+            const escapedName = escapeRegExp(propertyName);
+            const oldTypeMatches = interfaceDefinition.match(new RegExp(
+                `^([ \\t]*(?:${escapedName}|"${escapedName}"|'${escapedName}')`
+                + STR_APPEND_REGEXP_TYPESCRIPT_PROPERTY_TYPE, 'm'));
+            
+            if (!oldTypeMatches) {
+                warn(context, 'association-not-in-class', `Association '${propertyName}' of '${entity.name}' was not`
+                                                          + ' found in the generated class. Keeping its original'
+                                                          + ' type.', entity.repository);
+                addTyping('original', undefined, collection, false);
+                continue;
+            }
+            
+            const exportRemoved = interfaceDefinition.replace(new RegExp(
+                STR_REGEXP_TYPESCRIPT_EXPORT_TYPE.replace('$$@$$',
+                                                          escapeRegExp(oldTypeMatches[2])),
+                ''), '');
+            interfaceDefinition = exportRemoved.replace(new RegExp(escapeRegExp(
+                oldTypeMatches[0]), 'gm'),
+                                                        oldTypeMatches[1] + newPropertyType + oldTypeMatches[3]);
+            addTyping(excluded ? 'uri' : 'entity', newPropertyType, collection, false);
+            
+            if (excluded) {
+                context.logger.log(`Association '${propertyName}' of '${entity.name}' references the repository` +
+                                       ` '${repositoryMatches[1]}', which is not generated. Typing it as URI.`);
+                continue;
+            }
+            
+            entity['associations'].push(toAssociation(propertyName, referenced, collection, false));
+        }
+    }
+    
+    return interfaceDefinition;
+}
+
+/**
+ * Creates the association of an entity to another entity.
+ *
+ * @param name The name of the association property.
+ * @param referenced The referenced entity.
+ * @param collection Whether the association refers to several entities.
+ * @param inherited Whether the association is inherited from the base entity.
+ * @returns {{}} The association.
+ */
+function toAssociation(name, referenced, collection, inherited) {
+    return {
+        'name': name,
+        'className': referenced.className,
+        'fileName': referenced.fileName,
+        'repositoryName': referenced.repository,
+        'collection': collection,
+        'inherited': inherited
+    };
+}
+
+/**
+ * Returns the accessors of the associations declared by the given entity, the accessors of inherited
+ * associations are declared by the class of the base entity.
+ * Associations whose accessors would be named like a member of the resource base class or a property
+ * of the entity are skipped.
+ *
+ * @param context The context of the generation run.
+ * @param element The entity.
+ * @param propertyNames The names of the properties of the generated class.
+ * @returns {[]} The accessors with the association's name, class, whether it is a collection and the accessor name.
+ */
+function getAssociationAccessors(context, element, propertyNames) {
+    const members = TARGETS[context.options.target || DEFAULT_TARGET].resourceMembers.concat(propertyNames);
+    
+    return element.associations
+        .filter(association => !association.inherited)
+        .filter(association => {
+            const accessorName = upperCamelCase(association.name);
+            const conflicts = (association.collection ? COLLECTION_ACCESSOR_PREFIXES : ACCESSOR_PREFIXES)
+                .map(prefix => prefix + accessorName)
+                .filter(methodName => members.includes(methodName));
+            
+            if (conflicts.length > 0) {
+                warn(context, 'accessor-conflict', `Accessor '${conflicts[0]}' of association '${association.name}'`
+                                                   + ` of '${element.name}' conflicts with a member of the class.`
+                                                   + ' Skipping the accessors.', element.repository);
+                return false;
+            }
+            return true;
+        })
+        .map(association => ({
+            'name': association.name,
+            'className': association.className,
+            'collection': association.collection,
+            'accessorName': upperCamelCase(association.name)
+        }));
+}
+
+/**
+ * Returns the given property of a JSON schema, resolving a reference to a definition.
+ *
+ * @param schema The JSON schema of the entity.
+ * @param propertyName The name of the property.
+ * @returns {{}|undefined} The schema of the property, undefined if the property is unknown.
+ */
+function getSchemaProperty(schema, propertyName) {
+    const property = (schema.properties || {})[propertyName];
+    
+    if (property && property['$ref']) {
+        return resolveDefinition(schema, property['$ref']);
+    }
+    
+    return property;
+}
+
+/**
+ * Returns the name of the definition the given reference of a JSON schema points to.
+ *
+ * @param $ref The reference, e.g. "#/definitions/address".
+ * @returns {string} The name of the definition.
+ */
+function getDefinitionName($ref) {
+    return $ref.replace(STR_DEFINITION_REFERENCE_PREFIX, '');
+}
+
+/**
+ * Returns the definition of a JSON schema the given reference points to.
+ *
+ * @param schema The JSON schema containing the definitions.
+ * @param $ref The reference, e.g. "#/definitions/address".
+ * @returns {{}|undefined} The definition, undefined if the schema does not define it.
+ */
+function resolveDefinition(schema, $ref) {
+    return (schema.definitions || {})[getDefinitionName($ref)];
+}
+
+/**
+ * Determines whether the given property of a JSON schema is a collection.
+ *
+ * @param schema The JSON schema of the entity.
+ * @param propertyName The name of the property.
+ * @returns {boolean|undefined} Whether the property is a collection, undefined if the property is unknown.
+ */
+function isCollectionProperty(schema, propertyName) {
+    const property = getSchemaProperty(schema, propertyName);
+    if (!property) {
+        return undefined;
+    }
+    
+    return [].concat(property.type).includes('array');
+}
+
+/**
+ * Determines whether the given property of a JSON schema describes a link, i.e. a URI or an array of URIs,
+ * as Spring Data REST describes associations.
+ *
+ * @param schema The JSON schema of the entity.
+ * @param propertyName The name of the property.
+ * @returns {boolean} Whether the property describes a link.
+ */
+function isLinkProperty(schema, propertyName) {
+    const property = getSchemaProperty(schema, propertyName) || {};
+    const items = [].concat(property.type).includes('array') ? property.items : property;
+    
+    return !!items && !Array.isArray(items) && items.format === 'uri';
+}
+
+/**
+ * Generates TypeScript classes in the 'model' directory from the given JSON schemas.
+ * Renders the services, the lists of models and services, support files of the target
+ * and the configured extra templates as well.
+ * Nothing is written, the rendered files are returned instead.
+ *
+ * @param context The context of the generation run.
+ * @param entities The array of entities, must match the schemas array.
+ * @returns {Promise<{}>} Promise for an object containing the rendered files, mapping file paths relative to
+ * the output directory to their content, and the models the templates of each entity were rendered with.
+ */
+async function generateTypeScriptFromSchema(context, entities) {
+    const options = context.options;
+    const target = options.target || DEFAULT_TARGET;
+    const modelDir = options.modelDir;
+    const serviceDir = options.serviceDir;
+    const formDir = options.formDir;
+    const testingDir = options.testingDir;
+    const sharedTypeDir = options.sharedTypeDir;
+    
+    context.logger.log(`Generating files for ${target}.`);
+    
+    const classTemplateString = readTemplate('class', options);
+    const serviceTemplateString = readTemplate('service', options);
+    const modelsTemplateString = readTemplate('models', options);
+    const servicesTemplateString = readTemplate('services', options);
+    const entityTemplates = options.entityTemplates || {};
+    const entityTemplateStrings = _.mapValues(entityTemplates, (file, name) => readTemplate(name, options));
+    const formTemplateString = options.forms ? readTemplate('form', options) : undefined;
+    const fixtureTemplateString = options.testing ? readTemplate('fixture', options) : undefined;
+    const entityModels = [];
+    const modelsTemplateData = {'models': []};
+    const servicesTemplateData = {'services': []};
+    const formsTemplateData = {'forms': []};
+    const testingTemplateData = {'fixtures': []};
+    const files = {};
+    
+    // Shared types are referenced by the schemas of the entities.
+    const sharedTypes = options.sharedTypes ? await collectSharedTypes(context, entities) : [];
+    
+    // Names of all entities are required to resolve associations.
+    await compileSchemas(context, entities);
+    nameProjections(entities, sharedTypes);
+    
+    for (const key in entities) {
+        const element = entities[key];
+        const interfaceName = element.interfaceName;
+        const className = element.className;
+        const fileName = element.fileName;
+        
+        // Replace references to other entities.
+        let interfaceDefinition = postProcessTypeScriptFiles(context, entities, element, element.interfaceDefinition);
+        
+        // Extract the attributes from the interface file
+        const matches = interfaceDefinition.match(
+            REGEXP_TYPESCRIPT_INTERFACE_ATTRIBUTES);
+        if (!matches) {
+            throw new RenderError(`Could not find the attributes of the interface generated for '${key}'.`,
+                                  {repository: key, exitCode: 10});
+        }
+        const classAttributes = matches[1];
+        const properties = parseInterfaceProperties(classAttributes);
+        const formControls = getFormControls(element);
+        const associationAccessors = getAssociationAccessors(context, element,
+                                                             properties.map(property => property.name));
+        
+        // Collect the subtypes, the union of the direct subtypes is returned by the services of base entities.
+        const supertype = element.supertype ? entities[element.supertype] : undefined;
+        const subtypes = getSubtypes(entities, key, false);
+        const descendants = getSubtypes(entities, key, true);
+        const unionName = `${className}Union`;
+        
+        // Collect the conversions of mapped properties, associations are never mapped.
+        const associationNames = element.associations.map(association => association.name);
+        const conversions = getConversions(options.typeMappings, element.schema, {
+            'properties': _.omit(element.schema.properties || {}, associationNames)
+        }, []);
+        
+        // Collect projection interfaces, properties not part of the entity cannot be typed.
+        const schemaProperties = element.schema.properties || {};
+        const requiredProperties = element.schema.required || [];
+        const projections = element.projections.map(projection => ({
+            'name': projection.name,
+            'key': toPropertyKey(projection.name),
+            'interfaceName': projection.interfaceName,
+            'properties': projection.properties,
+            'attributes': projection.properties
+                .map(property => {
+                    const propertyKey = toPropertyKey(property);
+                    const optional = requiredProperties.includes(property) ? '' : '?';
+                    const type = property in schemaProperties
+                        ? `${interfaceName}[${toStringLiteral(property)}]`
+                        : 'any';
+                    return `  ${propertyKey}${optional}: ${type};\n`;
+                })
+                .join('')
+        }));
+        
+        // Collect the search methods, parameters named after enum properties use the shared enum type if any.
+        const compiledProperties = (element.compileSchema || {}).properties || {};
+        const searchMethods = element.searchMethods.map(method => ({
+            'name': method.name,
+            'collection': method.collection,
+            'parameters': method.parameters.map((parameter, index) => {
+                const sharedType = _.find(sharedTypes, {'typeName': (compiledProperties[parameter.name] || {}).tsType});
+                
+                return {
+                    'name': parameter.name,
+                    'type': sharedType && sharedType.schema.enum ? sharedType.typeName : parameter.type,
+                    'sharedType': sharedType && sharedType.schema.enum ? sharedType : undefined,
+                    'separator': index < method.parameters.length - 1 ? ', ' : ''
+                };
+            })
+        }));
+        
+        // Build the model passed to all templates of this entity.
+        const entityModel = {
+            'name': element.name,
+            'repositoryName': element.repository,
+            'className': className,
+            'interfaceName': interfaceName,
+            'fileName': fileName,
+            'classNameKebab': fileName,
+            'modelDir': modelDir,
+            'serviceDir': serviceDir,
+            'formDir': formDir,
+            'testingDir': testingDir,
+            'sharedTypeDir': sharedTypeDir,
+            'target': target,
+            'backend': options.backend,
+            'interfaceDefinition': interfaceDefinition,
+            'classAttributes': classAttributes,
+            'properties': properties.map(property => {
+                const association = _.find(element.associations, {'name': property.name});
+                
+                return Object.assign(property, {
+                    'readOnly': (schemaProperties[property.name] || {}).readOnly === true,
+                    'association': !!association,
+                    'collection': !!association && association.collection,
+                    'schema': schemaProperties[property.name] || {}
+                });
+            }),
+            'associations': element.associations,
+            'associationAccessors': associationAccessors,
+            'hasAssociationAccessors': associationAccessors.length > 0,
+            'hasCollectionAccessors': associationAccessors.some(accessor => accessor.collection),
+            'associationImports': _.uniqBy(element.associations.filter(association => !association.inherited)
+                                               .concat((element.subtypes || []).map(subtypeKey => entities[subtypeKey])),
+                                           'className')
+                .filter(association => association.className !== className
+                                       && !(supertype && association.className === supertype.className))
+                .map(association => _.pick(association, ['className', 'fileName'])),
+            'supertype': supertype ? _.pick(supertype, ['className', 'interfaceName', 'fileName']) : undefined,
+            'discriminator': supertype ? supertype.discriminator : element.discriminator,
+            'discriminatorValue': supertype ? toTypeScriptLiteral(element.discriminatorValue) : undefined,
+            'hasSubtypes': subtypes.length > 0,
+            'subtypes': subtypes,
+            'descendants': descendants,
+            'descendantImports': _.map(_.groupBy(descendants.filter(descendant => descendant.fileName !== fileName),
+                                                 'fileName'),
+                                       (group, descendantFileName) => ({
+                                           'classNames': group.map(descendant => descendant.className).join(', '),
+                                           'fileName': descendantFileName
+                                       })),
+            'inlineSubtypes': element.inlineSubtypeModels,
+            'unionName': unionName,
+            'unionTypes': subtypes.map(subtype => subtype.className).join(' | '),
+            'resourceType': subtypes.length > 0 ? unionName : className,
+            'sharedTypeImports': (element.sharedTypeNames || []).map(typeName => _.find(sharedTypes, {typeName})),
+            'hasSearchMethods': searchMethods.length > 0,
+            'searchMethods': searchMethods,
+            'searchTypeImports': _.sortBy(_.uniq(_.flatMap(searchMethods, method => method.parameters)
+                                                     .map(parameter => parameter.sharedType)
+                                                     .filter(sharedType => sharedType)), 'typeName'),
+            'hasProjections': projections.length > 0,
+            'projections': projections,
+            'hasCustomMethods': element.searchMethods.length > 0 || projections.length > 0,
+            'formControls': formControls,
+            'formValueProperties': formControls.length > 0
+                ? formControls.map(control => `'${control.name}'`).join(' | ')
+                : 'never',
+            'usesValidators': formControls.some(control => /(^|\W)Validators\./.test(control.control)),
+            'usesSchemaValidators': formControls.some(control => control.control.includes('SchemaValidators.')),
+            'fixtureProperties': getFixtureProperties(element, options),
+            'typeImports': element.typeImports,
+            'hasConversions': !!conversions,
+            'conversions': conversions ? toConversionsLiteral(conversions.properties, '') : undefined,
+            'conversionsName': `${_.snakeCase(className).toUpperCase()}_CONVERSIONS`,
+            'fixtureAssociations': element.associations.map(association => `'${association.name}'`).join(', '),
+            'descriptors': element['alps'][context.descriptorName][0][context.descriptorName],
+            'alps': element.alps,
+            'schema': element.schema
+        };
+        entityModels.push(entityModel);
+        
+        // Create class from template file.
+        const renderedClass = mustache.render(classTemplateString, entityModel, {}, MUSTACHE_TAGS);
+        const classFileName = `${fileName}.ts`;
+        
+        files[path.posix.join(modelDir, classFileName)] = renderedClass;
+        
+        // Create service from template file.
+        const renderedService = mustache.render(serviceTemplateString,
+                                                entityModel, {}, MUSTACHE_TAGS);
+        const serviceFileName = `${fileName}.service.ts`;
+        files[path.posix.join(serviceDir, serviceFileName)] = renderedService;
+        
+        // Create form from template file.
+        if (options.forms) {
+            const renderedForm = mustache.render(formTemplateString, entityModel, {}, MUSTACHE_TAGS);
+            files[path.posix.join(formDir, `${fileName}.form.ts`)] = renderedForm;
+            
+            for (const formExport of [`${className}FormValue`, `${className}FormControls`, `${className}Form`,
+                                      `create${className}Form`]) {
+                formsTemplateData.forms.push({
+                                                 'formExport': formExport,
+                                                 'formDir': formDir,
+                                                 'formFile': `${fileName}.form`
+                                             });
+            }
+        }
+        
+        // Create test fixtures from template file.
+        if (options.testing) {
+            const renderedFixture = mustache.render(fixtureTemplateString, entityModel, {}, MUSTACHE_TAGS);
+            files[path.posix.join(testingDir, `${fileName}.fixture.ts`)] = renderedFixture;
+            
+            for (const fixtureExport of [`create${className}Data`, `create${className}Resource`,
+                                         `create${className}Collection`]) {
+                testingTemplateData.fixtures.push({
+                                                      'fixtureExport': fixtureExport,
+                                                      'testingDir': testingDir,
+                                                      'fixtureFile': `${fileName}.fixture`
+                                                  });
+            }
+        }
+        
+        // Create files from the extra templates.
+        for (const templateName in entityTemplates) {
+            addRenderedTemplate(files,
+                                entityTemplates[templateName],
+                                entityTemplateStrings[templateName],
+                                entityModel);
+        }
+        
+        // Append to models and services list
+        modelsTemplateData.models.push({
+                                           'modelClass': interfaceName,
+                                           'modelDir': modelDir,
+                                           'modelFile': fileName
+                                       });
+        modelsTemplateData.models.push({
+                                           'modelClass': className,
+                                           'modelDir': modelDir,
+                                           'modelFile': fileName
+                                       });
+        for (const subtype of element.inlineSubtypeModels) {
+            for (const modelClass of [subtype.interfaceName, subtype.className]) {
+                modelsTemplateData.models.push({
+                                                   'modelClass': modelClass,
+                                                   'modelDir': modelDir,
+                                                   'modelFile': fileName
+                                               });
+            }
+        }
+        if (subtypes.length > 0) {
+            modelsTemplateData.models.push({
+                                               'modelClass': unionName,
+                                               'modelDir': modelDir,
+                                               'modelFile': fileName
+                                           });
+        }
+        if (projections.length > 0) {
+            modelsTemplateData.models.push({
+                                               'modelClass': `${className}Projections`,
+                                               'modelDir': modelDir,
+                                               'modelFile': fileName
+                                           });
+        }
+        for (const projection of projections) {
+            modelsTemplateData.models.push({
+                                               'modelClass': projection.interfaceName,
+                                               'modelDir': modelDir,
+                                               'modelFile': fileName
+                                           });
+        }
+        if (conversions) {
+            for (const conversionExport of [`deserialize${className}`, `serialize${className}`]) {
+                modelsTemplateData.models.push({
+                                                   'modelClass': conversionExport,
+                                                   'modelDir': modelDir,
+                                                   'modelFile': fileName
+                                               });
+            }
+        }
+        servicesTemplateData.services.push({
+                                               'modelClass': className,
+                                               'serviceDir': serviceDir,
+                                               'modelFile': fileName
+                                           });
+    }
+    
+    // Build the model passed to all templates rendered once.
+    const globalModel = {
+        'entities': entityModels,
+        'modelDir': modelDir,
+        'serviceDir': serviceDir,
+        'formDir': formDir,
+        'testingDir': testingDir,
+        'sharedTypeDir': sharedTypeDir,
+        'sharedTypes': sharedTypes,
+        'target': target,
+        'backend': options.backend
+    };
+    
+    // Render the shared types, they are listed along with the models
+    if (options.sharedTypes) {
+        const sharedTypeTemplateString = readTemplate('shared-type', options);
+        
+        for (const sharedType of sharedTypes) {
+            files[path.posix.join(sharedTypeDir, `${sharedType.fileName}.ts`)] = mustache.render(
+                sharedTypeTemplateString, Object.assign({}, globalModel, sharedType), {}, MUSTACHE_TAGS);
+            modelsTemplateData.models.push({
+                                               'modelClass': sharedType.typeName,
+                                               'modelDir': sharedTypeDir,
+                                               'modelFile': sharedType.fileName
+                                           });
+        }
+    }
+    
+    // Render list of models and services
+    const renderedModel = mustache.render(modelsTemplateString,
+                                          Object.assign({}, globalModel, modelsTemplateData), {}, MUSTACHE_TAGS);
+    files[`${modelDir}.ts`] = renderedModel;
+    const renderedServices = mustache.render(servicesTemplateString,
+                                             Object.assign({}, globalModel, servicesTemplateData), {}, MUSTACHE_TAGS);
+    files[`${serviceDir}.ts`] = renderedServices;
+    
+    // Render list of forms and the validators used by the forms
+    if (options.forms) {
+        const renderedForms = mustache.render(readTemplate('forms', options),
+                                              Object.assign({}, globalModel, formsTemplateData), {}, MUSTACHE_TAGS);
+        files[`${formDir}.ts`] = renderedForms;
+        files[path.posix.join(formDir, 'schema-validators.ts')] = mustache.render(
+            readTemplate('schema-validators', options), globalModel, {}, MUSTACHE_TAGS);
+    }
+    
+    // Render list of fixtures, the fixture helpers and the in-memory backend
+    if (options.testing) {
+        const renderedTesting = mustache.render(readTemplate('testing', options),
+                                                Object.assign({}, globalModel, testingTemplateData), {}, MUSTACHE_TAGS);
+        files[`${testingDir}.ts`] = renderedTesting;
+        for (const supportFile of ['hal-fixtures', 'in-memory-backend']) {
+            files[path.posix.join(testingDir, `${supportFile}.ts`)] = mustache.render(
+                readTemplate(supportFile, options), globalModel, {}, MUSTACHE_TAGS);
+        }
+    }
+    
+    // Render the conversion of mapped properties and the interceptor applying it
+    if (entityModels.some(entityModel => entityModel.hasConversions)) {
+        for (const supportFile of ['conversion', 'conversion-interceptor']) {
+            files[`${supportFile}.ts`] = mustache.render(readTemplate(supportFile, options), globalModel, {},
+                                                         MUSTACHE_TAGS);
+        }
+    }
+    
+    // Render support files of the target
+    for (const supportFile of TARGETS[target].supportFiles) {
+        const renderedSupportFile = mustache.render(readTemplate(supportFile, options),
+                                                    globalModel, {}, MUSTACHE_TAGS);
+        files[`${supportFile}.ts`] = renderedSupportFile;
+    }
+    
+    // Render the extra templates rendered once.
+    const globalTemplates = options.globalTemplates || {};
+    for (const templateName in globalTemplates) {
+        addRenderedTemplate(files,
+                            globalTemplates[templateName],
+                            readTemplate(templateName, options),
+                            globalModel);
+    }
+    
+    return {
+        'files': files,
+        'entityModels': entityModels
+    };
+}
+
+/**
+ * Converts the schema of each entity to a TypeScript interface and determines the names of the entity.
+ * The class name is the name json-schema-to-typescript derives from the schema title, surrounded by the configured
+ * prefix and suffix, unless a class name is configured for the repository.
+ * The interface name is rendered from the configured pattern, the file name from the class name in the configured case.
+ * Subtypes only declare the properties they do not inherit, their interfaces extend the interface of the base entity.
+ *
+ * @param context The context of the generation run.
+ * @param entities The array of entities.
+ * @returns {Promise<void>}
+ */
+async function compileSchemas(context, entities) {
+    const options = context.options;
+    
+    for (const key in entities) {
+        const element = entities[key];
+        let schema = element.compileSchema || element.schema;
+        
+        if (element.supertype) {
+            schema = Object.assign({}, schema, {
+                'properties': _.omit(schema.properties, element.inheritedProperties),
+                'required': _.difference(schema.required || [], element.inheritedProperties)
+            });
+        }
+        
+        // Apply json-schema-to-typescript conversion.
+        let interfaceDefinition;
+        try {
+            interfaceDefinition = await jsonTs.compile(schema,
+                                                       element.name,
+                                                       Object.assign({},
+                                                                     options.jsonSchemaToTypescript,
+                                                                     element.jsonSchemaToTypescript,
+                                                                     {bannerComment: null}));
+        } catch (error) {
+            throw new RenderError(`Could not convert the schema of '${key}' to TypeScript.`,
+                                  {repository: key, cause: error, exitCode: 10});
+        }
+        
+        // Empty interfaces are declared in one line, their attributes are expected on the following lines.
+        interfaceDefinition = interfaceDefinition.replace(REGEXP_TYPESCRIPT_EMPTY_INTERFACE, '$1\n}');
+        const nameMatches = interfaceDefinition.match(REGEXP_TYPESCRIPT_INTERFACE_NAME);
+        if (!nameMatches) {
+            throw new RenderError(`Could not find the interface generated from the schema of '${key}'.`,
+                                  {repository: key, exitCode: 10});
+        }
+        
+        const baseName = nameMatches[2];
+        const className = element.className || options.classPrefix + baseName + options.classSuffix;
+        const interfaceName = mustache.render(options.interfaceNamePattern, {
+            'name': element.name,
+            'repositoryName': key,
+            'className': className
+        }, {}, MUSTACHE_TAGS);
+        
+        if (interfaceName === className) {
+            throw new RenderError(`The interface name of '${key}' equals its class name '${className}'.`,
+                                  {repository: key, exitCode: 10});
+        }
+        
+        // Rename the interface, json-schema-to-typescript names it after the schema title.
+        element['interfaceDefinition'] = interfaceDefinition.replace(
+            REGEXP_TYPESCRIPT_INTERFACE_NAME,
+            (match, prefix, name, suffix) => prefix + interfaceName + suffix);
+        element['className'] = className;
+        element['interfaceName'] = interfaceName;
+        element['fileName'] = element.fileName || FILE_CASES[options.fileCase](className);
+    }
+    
+    // The names of the base entities are known once all schemas are compiled.
+    for (const key in entities) {
+        const element = entities[key];
+        
+        if (element.supertype) {
+            const baseInterfaceName = entities[element.supertype].interfaceName;
+            element.interfaceDefinition = element.interfaceDefinition.replace(
+                REGEXP_TYPESCRIPT_INTERFACE_NAME,
+                (match, prefix, name, suffix) => `${prefix}${name} extends ${baseInterfaceName}${suffix}`);
+        }
+        
+        const inlineSubtypes = [];
+        for (const subtype of element.inlineSubtypes || []) {
+            inlineSubtypes.push(await compileInlineSubtype(context, entities, element, subtype));
+        }
+        element['inlineSubtypeModels'] = inlineSubtypes;
+    }
+}
+
+/**
+ * Converts the schema of a subtype without repository to a TypeScript interface extending the interface of its base
+ * entity. The subtype is generated along with its base entity, so types declared for the base entity already are not
+ * declared again.
+ *
+ * @param context The context of the generation run.
+ * @param entities The array of entities.
+ * @param element The base entity.
+ * @param subtype The subtype with its name, discriminator value, schema and inherited properties.
+ * @returns {Promise<{}>} Promise for the names, the interface definition and the class attributes of the subtype.
+ */
+async function compileInlineSubtype(context, entities, element, subtype) {
+    const options = context.options;
+    const className = options.classPrefix + subtype.name + options.classSuffix;
+    const interfaceName = mustache.render(options.interfaceNamePattern, {
+        'name': _.camelCase(subtype.name),
+        'repositoryName': element.repository,
+        'className': className
+    }, {}, MUSTACHE_TAGS);
+    
+    if (_.some(entities, {className}) || interfaceName === className) {
+        throw new RenderError(`The class or interface name of the subtype '${subtype.name}' of '${element.repository}'`
+                                  + ' clashes with another name.', {repository: element.repository, exitCode: 10});
+    }
+    
+    let typeDefinition;
+    try {
+        typeDefinition = await jsonTs.compile(Object.assign({}, subtype.schema, {
+                                                  'title': subtype.name,
+                                                  'properties': _.omit(subtype.schema.properties,
+                                                                       subtype.inheritedProperties),
+                                                  'required': _.difference(subtype.schema.required || [],
+                                                                           subtype.inheritedProperties),
+                                                  'definitions': element.schema.definitions
+                                              }),
+                                              subtype.name,
+                                              Object.assign({},
+                                                            options.jsonSchemaToTypescript,
+                                                            element.jsonSchemaToTypescript,
+                                                            {bannerComment: null}));
+    } catch (error) {
+        throw new RenderError(`Could not convert the subtype '${subtype.name}' of '${element.repository}' to TypeScript.`,
+                              {repository: element.repository, cause: error, exitCode: 10});
+    }
+    
+    const declared = splitDeclarations(element.interfaceDefinition).map(declaration => declaration.name)
+        .concat(element.sharedTypeNames || []);
+    const [root, ...declarations] = splitDeclarations(
+        typeDefinition.replace(REGEXP_TYPESCRIPT_EMPTY_INTERFACE, '$1\n}'));
+    const attributeMatches = root && root.definition.match(REGEXP_TYPESCRIPT_INTERFACE_ATTRIBUTES);
+    if (!attributeMatches) {
+        throw new RenderError(`Could not find the interface generated for the subtype '${subtype.name}' of`
+                              + ` '${element.repository}'.`, {repository: element.repository, exitCode: 10});
+    }
+    
+    root.definition = root.definition.replace(
+        REGEXP_TYPESCRIPT_INTERFACE_NAME,
+        (match, prefix, name, suffix) => `${prefix}${interfaceName} extends ${element.interfaceName}${suffix}`);
+    
+    return {
+        'name': subtype.name,
+        'className': className,
+        'interfaceName': interfaceName,
+        'fileName': element.fileName,
+        'supertype': _.pick(element, ['className', 'interfaceName', 'fileName']),
+        'value': subtype.value,
+        'interfaceDefinition': [root].concat(declarations.filter(declaration => !declared.includes(declaration.name)))
+            .map(declaration => declaration.definition)
+            .join('\n\n') + '\n',
+        'classAttributes': attributeMatches[1]
+    };
+}
+
+/**
+ * Splits the given TypeScript definitions generated by json-schema-to-typescript into the declarations of the types.
+ *
+ * @param definitions The generated definitions.
+ * @returns {[]} The name and definition of each declaration, including its comment.
+ */
+function splitDeclarations(definitions) {
+    const declarations = [];
+    let comment = '';
+    
+    for (const block of definitions.replace(/\n+$/, '').split(/\n+(?=\/\*\*|export )/)) {
+        const matches = block.match(REGEXP_TYPESCRIPT_DECLARATION_NAME);
+        
+        if (!matches) {
+            comment += block + '\n';
+            continue;
+        }
+        declarations.push({'name': matches[1], 'definition': comment + block});
+        comment = '';
+    }
+    
+    return declarations;
+}
+
+/**
+ * Collects the definitions and enums of all entities as shared types, so each of them is generated once.
+ * Types with the same name and schema are shared by all entities using them, types with the same name but different
+ * schemas are prefixed with the name of their entity. String enums become TypeScript enums, all other types are
+ * converted by json-schema-to-typescript.
+ * The schemas compiled for the entities reference the shared types instead of defining them.
+ *
+ * @param context The context of the generation run.
+ * @param entities The collected entities by repository name.
+ * @returns {Promise<[]>} Promise for the shared types, sorted by name.
+ */
+async function collectSharedTypes(context, entities) {
+    const options = context.options;
+    const candidates = [];
+    
+    // Collect the candidates from copies of the schemas, the copies are modified to reference the shared types.
+    for (const key in entities) {
+        const element = entities[key];
+        const schema = _.cloneDeep(element.schema);
+        element['compileSchema'] = schema;
+        
+        _.forEach(schema.definitions, (definition, definitionName) => candidates.push({
+            'element': element,
+            'definitionName': definitionName,
+            'name': upperCamelCase(definition.title || definitionName),
+            'node': definition,
+            'schema': definition.enum ? _.cloneDeep(definition) : definition,
+            'signature': JSON.stringify(definition.enum || _.omit(definition, ['title', 'description']))
+        }));
+        for (const {name, node} of getEnumProperties(schema)) {
+            candidates.push({
+                                'element': element,
+                                'name': upperCamelCase(node.title || name),
+                                'node': node,
+                                'schema': _.cloneDeep(node),
+                                'signature': JSON.stringify(node.enum)
+                            });
+        }
+    }
+    
+    // Name the shared types, types must not clash with the classes of the entities or each other.
+    const reserved = _.map(entities, element => element.className
+        || options.classPrefix + upperCamelCase(element.schema.title || element.name) + options.classSuffix);
+    const sharedTypes = {};
+    
+    for (const [name, group] of Object.entries(_.groupBy(candidates, 'name'))) {
+        const qualified = _.uniqBy(group, 'signature').length > 1;
+        
+        for (const candidate of group) {
+            const baseName = qualified ? upperCamelCase(candidate.element.name) + name : name;
+            let typeName = baseName;
+            let index = 0;
+            while (reserved.includes(typeName)
+                   || (sharedTypes[typeName] && sharedTypes[typeName].signature !== candidate.signature)) {
+                typeName = baseName + ++index;
+            }
+            
+            candidate.typeName = typeName;
+            sharedTypes[typeName] = sharedTypes[typeName] || {
+                'typeName': typeName,
+                'fileName': FILE_CASES[options.fileCase](typeName),
+                'signature': candidate.signature,
+                'schema': candidate.schema
+            };
+        }
+    }
+    
+    // Reference the shared types from the copied schemas.
+    for (const candidate of candidates) {
+        if (!candidate.definitionName) {
+            referenceSharedType(candidate.node, candidate.typeName);
+        }
+    }
+    for (const key in entities) {
+        const schema = entities[key].compileSchema;
+        
+        for (const node of getSchemaNodes(schema).filter(node => node['$ref'])) {
+            const definitionName = getDefinitionName(node['$ref']);
+            const candidate = _.find(candidates, {'element': entities[key], 'definitionName': definitionName});
+            if (candidate) {
+                referenceSharedType(node, candidate.typeName);
+            }
+        }
+        
+        // Titles are turned into type aliases, which must not clash with the shared types.
+        getSchemaNodes(schema)
+            .filter(node => node !== schema && node.title && upperCamelCase(node.title) in sharedTypes)
+            .forEach(node => delete node.title);
+        delete schema.definitions;
+        
+        // The conversions of an entity include the properties of shared types, their mappings are imported as well.
+        const mappings = options.typeMappings;
+        const converting = getUsedTypeMappings(mappings, entities[key].schema)
+            .filter(mapping => mappings[mapping].deserialize || mappings[mapping].serialize);
+        entities[key]['typeImports'] = getTypeImports(mappings,
+                                                      _.union(getUsedTypeMappings(mappings, schema), converting));
+        entities[key]['sharedTypeNames'] = getSharedTypeNames(schema, sharedTypes);
+    }
+    
+    // Convert the shared types.
+    for (const sharedType of _.values(sharedTypes)) {
+        const schema = sharedType.schema;
+        const values = schema.enum || [];
+        
+        sharedType['isEnum'] = values.length > 0 && values.every(value => typeof value === 'string' && isNaN(value));
+        sharedType['members'] = sharedType.isEnum ? values.map(value => ({
+            'key': toPropertyKey(value),
+            'value': toStringLiteral(value)
+        })) : [];
+        sharedType['typeImports'] = getTypeImports(options.typeMappings,
+                                                   getUsedTypeMappings(options.typeMappings, schema));
+        sharedType['sharedTypeImports'] = getSharedTypeNames(schema, sharedTypes)
+            .filter(typeName => typeName !== sharedType.typeName)
+            .map(typeName => sharedTypes[typeName]);
+        
+        if (!sharedType.isEnum) {
+            try {
+                sharedType['typeDefinition'] = await jsonTs.compile(
+                    Object.assign({}, schema, {'title': sharedType.typeName}),
+                    sharedType.typeName,
+                    Object.assign({}, options.jsonSchemaToTypescript, {bannerComment: null}))
+                    .then(typeDefinition => typeDefinition.replace(/\n+$/, ''));
+            } catch (error) {
+                throw new RenderError(`Could not convert the shared type '${sharedType.typeName}' to TypeScript.`,
+                                      {cause: error, exitCode: 10});
+            }
+        }
+    }
+    
+    return _.sortBy(_.values(sharedTypes), 'typeName');
+}
+
+/**
+ * Returns the enum properties of the given JSON schema, including nested properties, items and the properties of
+ * definitions. Definitions being enums themselves are not included.
+ *
+ * @param schema The JSON schema of the entity.
+ * @returns {[]} Objects containing the name of the property and its schema as node.
+ */
+function getEnumProperties(schema) {
+    const enums = [];
+    const visit = (node, name) => {
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+        if (node.enum && !node.tsType) {
+            enums.push({name, node});
+            return;
+        }
+        _.forEach(node.properties, visit);
+        [].concat(node.items || []).forEach(items => visit(items, name));
+    };
+    
+    _.forEach(schema.properties, visit);
+    _.forEach(schema.definitions, (definition, definitionName) => {
+        _.forEach(definition.properties, visit);
+        [].concat(definition.items || []).forEach(items => visit(items, definitionName));
+    });
+    
+    return enums;
+}
+
+/**
+ * Replaces the given JSON schema with a reference to a shared type, keeping its description and read-only flag.
+ *
+ * @param node The JSON schema to replace.
+ * @param typeName The name of the shared type.
+ */
+function referenceSharedType(node, typeName) {
+    const kept = _.pick(node, ['description', 'readOnly']);
+    
+    for (const key of Object.keys(node)) {
+        delete node[key];
+    }
+    Object.assign(node, kept, {'tsType': typeName});
+}
+
+/**
+ * Determines the shared types referenced by the given JSON schema.
+ *
+ * @param schema The JSON schema, shared types must have been referenced.
+ * @param sharedTypes The shared types by name.
+ * @returns {string[]} The sorted names of the referenced shared types.
+ */
+function getSharedTypeNames(schema, sharedTypes) {
+    return _.uniq(getSchemaNodes(schema)
+                      .map(node => node.tsType)
+                      .filter(tsType => tsType in sharedTypes))
+        .sort();
+}
+
+/**
+ * Reads the template with the given name.
+ * Templates in the configured template directory take precedence over the templates of the target,
+ * which take precedence over the templates shared by all targets.
+ *
+ * @param name The name of the template.
+ * @param options The command line parameters and further configuration.
+ * @returns {string} The template.
+ */
+function readTemplate(name, options) {
+    const candidates = [
+        path.join(PATH_TEMPLATES, options.target || DEFAULT_TARGET, name),
+        path.join(PATH_TEMPLATES, name)
+    ];
+    if (options.templateDir) {
+        candidates.unshift(path.join(options.templateDir, name));
+    }
+    
+    const file = candidates.find(candidate => fs.existsSync(candidate));
+    if (!file) {
+        throw new RenderError(`Could not find template '${name}'.`, {exitCode: 10});
+    }
+    
+    return fs.readFileSync(file).toString();
+}
+
+/**
+ * Renders the given template and adds it to the rendered files with the given path.
+ * The path is rendered with the same model, e.g. 'facade/$$@&fileName@$$.facade.ts'.
+ *
+ * @param files The rendered files, mapping paths relative to the output directory to their content.
+ * @param filePath The path of the file relative to the output directory, may contain template tags.
+ * @param templateString The template to render.
+ * @param model The model to render the path and the template with.
+ */
+function addRenderedTemplate(files, filePath, templateString, model) {
+    const renderedPath = path.posix.normalize(mustache.render(filePath, model, {}, MUSTACHE_TAGS));
+    files[renderedPath] = mustache.render(templateString, model, {}, MUSTACHE_TAGS);
+}
+
+/**
+ * Compares the rendered files with the content of the output directory.
+ * Files are considered removed, if they were generated by a previous run according to the manifest,
+ * but are not generated anymore.
+ *
+ * @param files The rendered files, mapping paths relative to the output directory to their content.
+ * @param outputDir The output directory.
+ * @returns {{added: [], changed: [], removed: [], unchanged: []}} The paths of the files in each category.
+ */
+function compareOutput(files, outputDir) {
+    const differences = {'added': [], 'changed': [], 'removed': [], 'unchanged': []};
+    
+    for (const file of Object.keys(files).sort()) {
+        const outputFile = path.join(outputDir, file);
+        
+        if (!fs.existsSync(outputFile)) {
+            differences.added.push(file);
+        } else if (fs.readFileSync(outputFile, 'utf8') !== files[file]) {
+            differences.changed.push(file);
+        } else {
+            differences.unchanged.push(file);
+        }
+    }
+    
+    for (const file of readManifest(outputDir)) {
+        if (!(file in files) && fs.existsSync(path.join(outputDir, file))) {
+            differences.removed.push(file);
+        }
+    }
+    
+    return differences;
+}
+
+/**
+ * Prints the added, changed and removed files.
+ *
+ * @param context The context of the generation run.
+ * @param differences The differences determined by compareOutput.
+ */
+function reportDifferences(context, differences) {
+    for (const file of differences.added) {
+        context.logger.log(`Added:   ${file}`);
+    }
+    for (const file of differences.changed) {
+        context.logger.log(`Changed: ${file}`);
+    }
+    for (const file of differences.removed) {
+        context.logger.log(`Removed: ${file}`);
+    }
+}
+
+/**
+ * Writes added and changed files, deletes removed files and updates the manifest of the output directory.
+ * Directories left empty by deleted files are deleted as well. Unchanged files are not touched.
+ *
+ * @param context The context of the generation run.
+ * @param files The rendered files, mapping paths relative to the output directory to their content.
+ * @param differences The differences determined by compareOutput.
+ */
+function writeOutput(context, files, differences) {
+    const outputDir = context.options.outputDir;
+    
+    for (const file of differences.added.concat(differences.changed)) {
+        const outputFile = path.join(outputDir, file);
+        
+        fs.mkdirSync(path.dirname(outputFile), {recursive: true});
+        fs.writeFileSync(outputFile, files[file]);
+    }
+    for (const file of differences.removed) {
+        fs.unlinkSync(path.join(outputDir, file));
+        removeEmptyDirectories(path.dirname(path.join(outputDir, file)), outputDir);
+    }
+    
+    const manifest = JSON.stringify({'files': Object.keys(files).sort()}, null, 2) + '\n';
+    const manifestFile = path.join(outputDir, FILE_MANIFEST);
+    if (!fs.existsSync(manifestFile) || fs.readFileSync(manifestFile, 'utf8') !== manifest) {
+        fs.mkdirSync(outputDir, {recursive: true});
+        fs.writeFileSync(manifestFile, manifest);
+    }
+    
+    reportDifferences(context, differences);
+    context.logger.log(`${differences.added.length} added, ${differences.changed.length} changed,` +
+                           ` ${differences.removed.length} removed, ${differences.unchanged.length} unchanged.`);
+}
+
+/**
+ * Deletes the given directory and its parent directories as long as they are empty.
+ * The output directory itself is kept.
+ *
+ * @param directory The directory to start with.
+ * @param outputDir The output directory.
+ */
+function removeEmptyDirectories(directory, outputDir) {
+    const root = path.resolve(outputDir);
+    let current = path.resolve(directory);
+    
+    while (current.startsWith(root + path.sep) && fs.existsSync(current) && fs.readdirSync(current).length === 0) {
+        fs.rmdirSync(current);
+        current = path.dirname(current);
+    }
+}
+
+/**
+ * Reads the paths of the files generated by the previous run from the manifest of the output directory.
+ *
+ * @param outputDir The output directory.
+ * @returns {[]} The paths relative to the output directory, empty if there is no manifest.
+ */
+function readManifest(outputDir) {
+    const manifestFile = path.join(outputDir, FILE_MANIFEST);
+    
+    if (!fs.existsSync(manifestFile)) {
+        return [];
+    }
+    
+    return parseJSON(manifestFile).files || [];
+}
+
+/**
+ * Parses the properties of an interface body generated by json-schema-to-typescript.
+ * Index signatures and comments are skipped.
+ *
+ * @param attributes The attributes of the interface, one per line.
+ * @returns {[]} An array of objects containing name, type and required flag of each property.
+ */
+function parseInterfaceProperties(attributes) {
+    const properties = [];
+    let property = undefined;
+    let depth = 0;
+    
+    for (const line of attributes.split('\n')) {
+        if (depth === 0) {
+            const matches = line.match(REGEXP_TYPESCRIPT_PROPERTY);
+            if (!matches) {
+                continue;
+            }
+            property = {
+                'name': matches[1].replace(/^['"]|['"]$/g, ''),
+                'type': matches[3],
+                'required': matches[2] !== '?'
+            };
+        } else {
+            property.type += `\n${line}`;
+        }
+        
+        depth += (line.match(/{/g) || []).length - (line.match(/}/g) || []).length;
+        
+        if (depth === 0) {
+            property.type = property.type.replace(/;$/, '');
+            properties.push(property);
+        }
+    }
+    
+    return properties;
+}
+
+/**
+ * Reads and parses the given JSON file.
+ *
+ * @param file The path of the file to read.
+ * @returns {*} The parsed content.
+ */
+function parseJSON(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
 }
 
 /**
@@ -535,3 +3501,14 @@ function escapeRegExp(string) {
 
 
 module.exports = ngSpringDataRest;
+module.exports.generate = ngSpringDataRest;
+module.exports.watch = watch;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+module.exports.GeneratorError = GeneratorError;
+module.exports.ConfigurationError = ConfigurationError;
+module.exports.AuthenticationError = AuthenticationError;
+module.exports.DiscoveryError = DiscoveryError;
+module.exports.SchemaFetchError = SchemaFetchError;
+module.exports.AlpsFetchError = AlpsFetchError;
+module.exports.SnapshotError = SnapshotError;
+module.exports.RenderError = RenderError;
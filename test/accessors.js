@@ -0,0 +1,129 @@
+/*
+ * This file is part of the ng-spring-data-rest project (https://github.com/dhoeppe/ng-spring-data-rest).
+ *
+ * MIT License
+ *
+ * Copyright (c) 2020 Daniel Höppe
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const {createDirectory, removeDirectory, readSnapshot, generateFiles, runTest} = require('./helpers');
+
+// The accessors of the collection association 'orders' and the single association 'staff' of users by target.
+const TARGETS = {
+    'ngx-hal-client': [
+        'getOrders(): Observable<Order[]> {\n    return this.getRelationArray(Order, \'orders\');\n  }',
+        'addOrders(resources: Order[]): Observable<any> {\n'
+        + '    return forkJoin(resources.map(resource => this.updateRelation(\'orders\', resource)));\n  }',
+        'removeOrders(resource: Order): Observable<any> {\n    return this.deleteRelation(\'orders\', resource);\n  }',
+        'getStaff(): Observable<User> {\n    return this.getRelation(User, \'staff\') as Observable<User>;\n  }',
+        'setStaff(resource: User): Observable<any> {\n    return this.substituteRelation(\'staff\', resource);\n  }',
+        'removeStaff(resource: User): Observable<any> {\n    return this.deleteRelation(\'staff\', resource);\n  }'
+    ],
+    'ngx-hateoas-client': [
+        'getOrders(): Observable<Order[]> {\n'
+        + '    return this.getRelatedCollection<ResourceCollection<Order>>(\'orders\')\n'
+        + '      .pipe(map(collection => collection.resources));\n  }',
+        'setOrders(resources: Order[]): Observable<HttpResponse<any>> {\n'
+        + '    return this.bindRelation(\'orders\', resources);\n  }',
+        'addOrders(resources: Order[]): Observable<HttpResponse<any>> {\n'
+        + '    return this.addCollectionRelation(\'orders\', resources);\n  }',
+        'removeOrders(resource: Order): Observable<HttpResponse<any>> {\n'
+        + '    return this.deleteRelation(\'orders\', resource);\n  }',
+        'getStaff(): Observable<User> {\n    return this.getRelation<User>(\'staff\');\n  }',
+        'setStaff(resource: User): Observable<HttpResponse<any>> {\n'
+        + '    return this.bindRelation(\'staff\', resource);\n  }',
+        'removeStaff(resource: User): Observable<HttpResponse<any>> {\n'
+        + '    return this.deleteRelation(\'staff\', resource);\n  }'
+    ],
+    'http-client': [
+        'getOrders(): Observable<Order[]> {\n'
+        + '    return getRestService(this).getRelationArray(Order, this, \'orders\');\n  }',
+        'setOrders(resources: Order[]): Observable<void> {\n'
+        + '    return getRestService(this).setRelation(this, \'orders\', resources);\n  }',
+        'addOrders(resources: Order[]): Observable<void> {\n'
+        + '    return getRestService(this).addRelation(this, \'orders\', resources);\n  }',
+        'removeOrders(resource: Order): Observable<void> {\n'
+        + '    return getRestService(this).removeRelation(this, \'orders\', resource);\n  }',
+        'getStaff(): Observable<User> {\n    return getRestService(this).getRelation(User, this, \'staff\');\n  }',
+        'setStaff(resource: User): Observable<void> {\n'
+        + '    return getRestService(this).setRelation(this, \'staff\', resource);\n  }',
+        'removeStaff(resource: User): Observable<void> {\n'
+        + '    return getRestService(this).removeRelation(this, \'staff\', resource);\n  }'
+    ]
+};
+
+runTest('Accessor tests', async () => {
+    for (const target of Object.keys(TARGETS)) {
+        const {summary, files} = await generateFiles({'target': target});
+        const user = files['model/user.ts'];
+        
+        for (const accessor of TARGETS[target]) {
+            assert.ok(user.includes(`\n\n  ${accessor}\n`), `${target}: ${accessor}`);
+        }
+        assert.ok(files['model/order.ts'].includes('\n  getOwner(): Observable<User> {\n'), target);
+        assert.ok(!summary.warnings.some(warning => warning.code === 'accessor-conflict'), target);
+    }
+    
+    // No accessors are generated for an association whose accessors would be named like a member of the class.
+    const directory = createDirectory();
+    try {
+        const snapshot = readSnapshot();
+        snapshot.schemas.orders.properties['relation'] = {
+            'title': 'Relation', 'readOnly': false, 'type': 'string', 'format': 'uri'
+        };
+        snapshot.alps.orders.alps.descriptor[0].descriptor.push({
+            'name': 'relation', 'type': 'SAFE', 'rt': 'http://localhost:18080/profile/users#user-representation'
+        });
+        const snapshotFile = path.join(directory, 'snapshot.json');
+        fs.writeFileSync(snapshotFile, JSON.stringify(snapshot));
+        
+        for (const target of Object.keys(TARGETS)) {
+            const {summary, files} = await generateFiles({'fromSnapshot': snapshotFile, 'target': target});
+            const order = files['model/order.ts'];
+            const conflicts = summary.warnings.filter(warning => warning.code === 'accessor-conflict');
+            
+            assert.ok(order.includes('\n  relation?: User;\n'), target);
+            assert.ok(order.includes('\n  getOwner(): Observable<User> {\n'), target);
+            if (target === 'http-client') {
+                // The resources of the HttpClient target have no such member.
+                assert.deepStrictEqual(conflicts, [], target);
+                assert.ok(order.includes('\n  getRelation(): Observable<User> {\n'), target);
+            } else {
+                assert.deepStrictEqual(conflicts, [{
+                    'code': 'accessor-conflict',
+                    'repository': 'orders',
+                    'message': 'Accessor \'getRelation\' of association \'relation\' of \'order\' conflicts with a'
+                               + ' member of the class. Skipping the accessors.'
+                }], target);
+                assert.ok(!order.includes('Relation(resource: User)'), target);
+            }
+        }
+    } finally {
+        removeDirectory(directory);
+    }
+});
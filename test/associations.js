@@ -0,0 +1,77 @@
+/*
+ * This file is part of the ng-spring-data-rest project (https://github.com/dhoeppe/ng-spring-data-rest).
+ *
+ * MIT License
+ *
+ * Copyright (c) 2020 Daniel Höppe
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const ngSpringDataRest = require('..');
+const {createDirectory, removeDirectory, readSnapshot, createLogger, runTest} = require('./helpers');
+
+runTest('Association tests', async () => {
+    const directory = createDirectory();
+    
+    try {
+        // An association whose name is no identifier, i.e. whose property is quoted in the generated interface.
+        const snapshot = readSnapshot();
+        snapshot.schemas.orders.properties['previous-owner'] = {
+            'title': 'Previous owner', 'readOnly': false, 'type': 'string', 'format': 'uri'
+        };
+        snapshot.alps.orders.alps.descriptor[0].descriptor.push({
+            'name': 'previous-owner', 'type': 'SAFE', 'rt': 'http://localhost:18080/profile/users#user-representation'
+        });
+        const snapshotFile = path.join(directory, 'snapshot.json');
+        fs.writeFileSync(snapshotFile, JSON.stringify(snapshot));
+        
+        for (const target of ['ngx-hal-client', 'ngx-hateoas-client', 'http-client']) {
+            const outputDir = path.join(directory, target);
+            const summary = await ngSpringDataRest({
+                'fromSnapshot': snapshotFile,
+                'outputDir': outputDir,
+                'target': target,
+                'logger': createLogger()
+            });
+            const order = summary.entities.find(entity => entity.repository === 'orders');
+            const model = fs.readFileSync(path.join(outputDir, 'model', 'order.ts'), 'utf8');
+            
+            assert.deepStrictEqual(order.associations.find(association => association.name === 'previous-owner'), {
+                'name': 'previous-owner',
+                'rt': 'http://localhost:18080/profile/users#user-representation',
+                'typing': 'entity',
+                'type': 'User',
+                'collection': false,
+                'inherited': false
+            });
+            assert.ok(!summary.warnings.some(warning => warning.code === 'association-not-in-class'), target);
+            assert.strictEqual(model.split('\n  "previous-owner"?: User;\n').length, 3, model);
+            assert.ok(model.includes('\n  getPreviousOwner(): Observable<User> {\n'), model);
+        }
+    } finally {
+        removeDirectory(directory);
+    }
+});
@@ -0,0 +1,151 @@
+/*
+ * This file is part of the ng-spring-data-rest project (https://github.com/dhoeppe/ng-spring-data-rest).
+ *
+ * MIT License
+ *
+ * Copyright (c) 2020 Daniel Höppe
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const querystring = require('querystring');
+
+const {createDirectory, removeDirectory, runCli, startServer, sendJSON, serveSnapshot, runTest} = require('./helpers');
+
+/**
+ * Runs a dry run of the command line interface against a stub server serving the snapshot in the fixtures and
+ * an OAuth2 token endpoint.
+ *
+ * @param args Function(url) returning the command line arguments for the base URL of the server.
+ * @returns {Promise<{code: number, stderr: string, requests: []}>} Promise for the exit code, the error output
+ * and the requests received by the server.
+ */
+async function generate(args) {
+    const serveDocuments = serveSnapshot();
+    const server = await startServer((request, response) => {
+        if (request.method === 'POST' && request.url === '/oauth/token') {
+            sendJSON(response, 200, {'access_token': 'issued-token', 'token_type': 'bearer', 'expires_in': 3600});
+        } else {
+            serveDocuments(request, response);
+        }
+    });
+    const directory = createDirectory();
+    
+    try {
+        const result = await runCli(['-b', server.url, '--output-dir', directory, '--dry-run']
+                                        .concat(args(server.url)));
+        
+        return {'code': result.code, 'stderr': result.stderr, 'requests': server.requests};
+    } finally {
+        await server.close();
+        removeDirectory(directory);
+    }
+}
+
+/**
+ * Returns the requests for the profile index and the JSON schemas.
+ *
+ * @param requests The requests received by the server.
+ * @returns {[]} The requests for documents.
+ */
+function getDocumentRequests(requests) {
+    const documentRequests = requests.filter(request => request.method === 'GET');
+    
+    assert.ok(documentRequests.some(request => request.url === '/profile'));
+    assert.ok(documentRequests.some(request => request.headers.accept.includes('application/schema+json')));
+    
+    return documentRequests;
+}
+
+/**
+ * Returns the value of a HTTP Basic authorization header.
+ *
+ * @param username
+ * @param password
+ * @returns {string} The header value.
+ */
+function basic(username, password) {
+    return 'Basic ' + Buffer.from(`${username}:${password}`).toString('base64');
+}
+
+runTest('Authentication tests', async () => {
+    // The client credentials flow requests a token with the scopes and sends it with every request.
+    let result = await generate(url => ['-a', 'OAUTH2', '--auth-endpoint', `${url}oauth/token`,
+                                        '--oauth-flow', 'CLIENT_CREDENTIALS', '--client', 'frontend',
+                                        '--client-password', 'client-secret', '--scope', 'read',
+                                        '--scope', 'profile']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    
+    const tokenRequests = result.requests.filter(request => request.method === 'POST');
+    assert.strictEqual(tokenRequests.length, 1);
+    assert.strictEqual(tokenRequests[0].headers['content-type'], 'application/x-www-form-urlencoded');
+    assert.strictEqual(tokenRequests[0].headers.authorization, basic('frontend', 'client-secret'));
+    assert.deepStrictEqual(Object.assign({}, querystring.parse(tokenRequests[0].body)), {
+        'grant_type': 'client_credentials',
+        'scope': 'read profile',
+        'client_id': 'frontend',
+        'client_secret': 'client-secret'
+    });
+    assert.strictEqual(result.requests[0], tokenRequests[0]);
+    getDocumentRequests(result.requests)
+        .forEach(request => assert.strictEqual(request.headers.authorization, 'Bearer issued-token'));
+    
+    // Bearer and Basic credentials are sent with every request without logging in.
+    result = await generate(() => ['-a', 'BEARER', '--token', 'static-token']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    getDocumentRequests(result.requests)
+        .forEach(request => assert.strictEqual(request.headers.authorization, 'Bearer static-token'));
+    assert.strictEqual(result.requests.length, getDocumentRequests(result.requests).length);
+    
+    result = await generate(() => ['-a', 'BASIC', '-u', 'developer', '-p', 'password']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    getDocumentRequests(result.requests)
+        .forEach(request => assert.strictEqual(request.headers.authorization, basic('developer', 'password')));
+    assert.strictEqual(result.requests.length, getDocumentRequests(result.requests).length);
+    
+    // Additional headers are sent with every request.
+    result = await generate(() => ['-H', 'X-Api-Key: secret', '-H', 'X-Tenant: first: second']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    getDocumentRequests(result.requests).forEach(request => {
+        assert.strictEqual(request.headers['x-api-key'], 'secret');
+        assert.strictEqual(request.headers['x-tenant'], 'first: second');
+        assert.strictEqual(request.headers.authorization, undefined);
+    });
+    
+    // Incomplete combinations of options are rejected before any request is sent.
+    const incomplete = [
+        [['-a', 'BEARER'], 1, 'no token is provided'],
+        [['-a', 'BASIC', '-u', 'developer'], 1, 'either username or password is not provided'],
+        [['-a', 'COOKIE', '-u', 'developer', '-p', 'password'], 1, 'requires an authentication endpoint'],
+        [['-a', 'OAUTH2', '--auth-endpoint', 'http://127.0.0.1:1/oauth/token'], 1, 'no OAuth2 flow is provided'],
+        [['-a', 'OAUTH2', '--auth-endpoint', 'http://127.0.0.1:1/oauth/token', '--oauth-flow', 'PASSWORD',
+          '-u', 'developer', '-p', 'password'], 2, 'client credentials are incomplete'],
+        [['-a', 'OAUTH2', '--auth-endpoint', 'http://127.0.0.1:1/oauth/token', '--oauth-flow', 'CLIENT_CREDENTIALS',
+          '--client', 'frontend'], 2, 'client credentials are incomplete']
+    ];
+    for (const [args, exitCode, message] of incomplete) {
+        result = await generate(() => args);
+        assert.strictEqual(result.code, exitCode, args.join(' '));
+        assert.ok(result.stderr.includes(message), result.stderr);
+        assert.strictEqual(result.requests.length, 0);
+    }
+});
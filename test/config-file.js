@@ -0,0 +1,91 @@
+/*
+ * This file is part of the ng-spring-data-rest project (https://github.com/dhoeppe/ng-spring-data-rest).
+ *
+ * MIT License
+ *
+ * Copyright (c) 2020 Daniel Höppe
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const {CLI, SNAPSHOT, createDirectory, removeDirectory} = require('./helpers');
+
+/**
+ * Runs the command line interface with the given configuration file and returns the generated model of users.
+ *
+ * @param config The content of the configuration file.
+ * @param args Additional command line arguments.
+ * @param env Additional environment variables.
+ * @returns {string} The generated model.
+ */
+function generate(config, args = [], env = {}) {
+    const directory = createDirectory();
+    try {
+        const configFile = path.join(directory, 'config.json');
+        const outputDir = path.join(directory, 'output');
+        fs.writeFileSync(configFile, JSON.stringify(Object.assign({
+            'fromSnapshot': SNAPSHOT,
+            'outputDir': outputDir
+        }, config)));
+        
+        childProcess.execFileSync(process.execPath, [CLI, '-c', configFile].concat(args), {
+            'env': Object.assign({}, process.env, env),
+            'stdio': 'pipe'
+        });
+        
+        return fs.readFileSync(path.join(outputDir, 'model', 'user.ts'), 'utf8');
+    } finally {
+        removeDirectory(directory);
+    }
+}
+
+/**
+ * Returns whether the interface of the user entity in the given model allows additional properties.
+ *
+ * @param model The generated model of users.
+ * @returns {boolean} Whether an index signature is generated.
+ */
+function hasAdditionalProperties(model) {
+    const start = model.indexOf('export interface IUser {');
+    
+    return model.substring(start, model.indexOf('}', start)).includes('[k: string]: any;');
+}
+
+// A switch enabled in the configuration file survives when it is not given on the command line.
+assert.ok(hasAdditionalProperties(generate({})));
+assert.ok(!hasAdditionalProperties(generate({'noAdditionalProperties': true})));
+assert.ok(!hasAdditionalProperties(generate({'noAdditionalProperties': false}, ['--no-additional-properties'])));
+
+// Environment variables are resolved in connection options, but not in the code of type mappings.
+const model = generate({
+    'password': '${NG_SPRING_DATA_REST_TEST_PASSWORD}',
+    'typeMappings': {
+        'date-time': {'type': 'string', 'deserialize': 'value => `${value}`'}
+    }
+}, [], {'NG_SPRING_DATA_REST_TEST_PASSWORD': 'secret'});
+assert.ok(model.includes('deserialize: value => `${value}`'));
+
+console.log('Configuration file tests passed.');
@@ -0,0 +1,217 @@
+/*
+ * This file is part of the ng-spring-data-rest project (https://github.com/dhoeppe/ng-spring-data-rest).
+ *
+ * MIT License
+ *
+ * Copyright (c) 2020 Daniel Höppe
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const ngSpringDataRest = require('..');
+const {
+    SNAPSHOT, createDirectory, removeDirectory, runCli, startServer, sendJSON, serveSnapshot, createLogger, runTest
+} = require('./helpers');
+
+const SCENARIOS = [
+    {
+        'description': 'the profile index cannot be retrieved',
+        'serve': request => request.url === '/profile' && [500, {}],
+        'options': {'retries': 0},
+        'args': ['--retries', '0'],
+        'error': ngSpringDataRest.DiscoveryError,
+        'exitCode': 3,
+        'status': 500
+    },
+    {
+        'description': 'the profile index contains no links',
+        'serve': request => request.url === '/profile' && [200, {}],
+        'error': ngSpringDataRest.DiscoveryError,
+        'exitCode': 4
+    },
+    {
+        'description': 'the token is not issued',
+        'serve': request => request.method === 'POST' && [401, {'error': 'invalid_client'}],
+        'options': url => ({
+            'authMethod': 'OAUTH2', 'authEndpoint': `${url}oauth/token`, 'oauthFlow': 'CLIENT_CREDENTIALS',
+            'clientId': 'frontend', 'clientPassword': 'wrong'
+        }),
+        'args': url => ['-a', 'OAUTH2', '--auth-endpoint', `${url}oauth/token`, '--oauth-flow', 'CLIENT_CREDENTIALS',
+                        '--client', 'frontend', '--client-password', 'wrong'],
+        'error': ngSpringDataRest.AuthenticationError,
+        'exitCode': 5,
+        'status': 401
+    },
+    {
+        'description': 'a JSON schema cannot be retrieved',
+        'serve': request => request.url === '/profile/orders' && request.headers.accept.includes('schema+json')
+            && [404, {}],
+        'error': ngSpringDataRest.SchemaFetchError,
+        'exitCode': 6,
+        'repository': 'orders',
+        'status': 404
+    },
+    {
+        'description': 'an ALPS profile contains no alps element',
+        'serve': request => request.url === '/profile/users' && !request.headers.accept.includes('schema+json')
+            && [200, {}],
+        'error': ngSpringDataRest.AlpsFetchError,
+        'exitCode': 7,
+        'repository': 'users'
+    },
+    {
+        'description': 'the snapshot does not exist',
+        'options': {'fromSnapshot': path.join(__dirname, 'fixtures', 'missing.json')},
+        'args': ['--from-snapshot', path.join(__dirname, 'fixtures', 'missing.json')],
+        'error': ngSpringDataRest.SnapshotError,
+        'exitCode': 9
+    },
+    {
+        'description': 'the interface names equal the class names',
+        'options': {'fromSnapshot': SNAPSHOT, 'interfaceNamePattern': '$$@className@$$'},
+        'args': ['--from-snapshot', SNAPSHOT, '--interface-name', '$$@className@$$'],
+        'error': ngSpringDataRest.RenderError,
+        'exitCode': 10,
+        'repository': 'users'
+    },
+    {
+        'description': 'an include pattern is no valid regular expression',
+        'options': {'fromSnapshot': SNAPSHOT, 'include': ['users', '/[/']},
+        'args': ['--from-snapshot', SNAPSHOT, '--include', 'users', '--include', '/[/'],
+        'error': ngSpringDataRest.ConfigurationError,
+        'exitCode': 2
+    },
+    {
+        'description': 'the target is unknown',
+        'options': {'fromSnapshot': SNAPSHOT, 'target': 'unknown'},
+        'error': ngSpringDataRest.ConfigurationError,
+        'exitCode': 2
+    }
+];
+
+/**
+ * Runs the given scenario using the Node API and the command line interface against a stub server serving the
+ * snapshot in the fixtures, unless the scenario answers a request differently.
+ *
+ * @param scenario The scenario.
+ * @returns {Promise<void>} Promise resolved once the failures are asserted.
+ */
+async function assertFailure(scenario) {
+    const serveDocuments = serveSnapshot();
+    const server = await startServer((request, response) => {
+        const answer = scenario.serve && scenario.serve(request);
+        if (answer) {
+            sendJSON(response, answer[0], answer[1]);
+        } else {
+            serveDocuments(request, response);
+        }
+    });
+    const directory = createDirectory();
+    const resolve = value => typeof value === 'function' ? value(server.url) : value;
+    
+    try {
+        const error = await ngSpringDataRest(Object.assign({
+            'baseURL': server.url,
+            'outputDir': path.join(directory, 'api'),
+            'logger': createLogger()
+        }, resolve(scenario.options))).then(() => assert.fail(`Resolved although ${scenario.description}.`),
+                                            rejection => rejection);
+        
+        assert.ok(error instanceof scenario.error, `${scenario.description}: ${error.stack}`);
+        assert.ok(error instanceof ngSpringDataRest.GeneratorError);
+        assert.strictEqual(error.name, scenario.error.name);
+        assert.strictEqual(error.exitCode, scenario.exitCode);
+        assert.strictEqual(error.repository, scenario.repository);
+        assert.strictEqual(error.status, scenario.status);
+        assert.ok(Array.isArray(error.warnings));
+        assert.ok(!fs.existsSync(path.join(directory, 'api')));
+        
+        if (scenario.args || !scenario.options) {
+            const reportFile = path.join(directory, 'report.json');
+            const result = await runCli(['-b', server.url, '--output-dir', path.join(directory, 'cli'),
+                                         '--report', reportFile].concat(resolve(scenario.args) || []));
+            
+            assert.strictEqual(result.code, scenario.exitCode, `${scenario.description}: ${result.stderr}`);
+            assert.ok(result.stderr.includes(error.message));
+            assert.deepStrictEqual(JSON.parse(fs.readFileSync(reportFile, 'utf8')).error, JSON.parse(JSON.stringify({
+                'name': error.name,
+                'message': error.message,
+                'repository': error.repository,
+                'status': error.status,
+                'exitCode': scenario.exitCode
+            })));
+        }
+    } finally {
+        await server.close();
+        removeDirectory(directory);
+    }
+}
+
+runTest('Error tests', async () => {
+    for (const scenario of SCENARIOS) {
+        await assertFailure(scenario);
+    }
+    
+    // Unexpected errors are wrapped and carry an exit code as well.
+    const directory = createDirectory();
+    try {
+        fs.writeFileSync(path.join(directory, 'class'), '$$@#unclosed@$$\n');
+        const error = await ngSpringDataRest({
+            'fromSnapshot': SNAPSHOT,
+            'templateDir': directory,
+            'dryRun': true,
+            'logger': createLogger()
+        }).then(() => assert.fail('Resolved with an invalid template.'), rejection => rejection);
+        assert.strictEqual(error.constructor, ngSpringDataRest.GeneratorError);
+        assert.strictEqual(error.exitCode, 1);
+        assert.ok(error.cause instanceof Error);
+        fs.unlinkSync(path.join(directory, 'class'));
+        
+        // A successful run resolves with the summary of the generated artifacts.
+        const summary = await ngSpringDataRest({
+            'fromSnapshot': SNAPSHOT,
+            'outputDir': directory,
+            'logger': createLogger()
+        });
+        assert.strictEqual(summary.descriptorName, 'descriptor');
+        assert.deepStrictEqual(summary.repositories, {'generated': ['users', 'orders'], 'skipped': []});
+        assert.deepStrictEqual(summary.entities.map(entity => [entity.repository, entity.name, entity.className,
+                                                               entity.fileName]),
+                               [['users', 'user', 'User', 'user'], ['orders', 'order', 'Order', 'order']]);
+        assert.deepStrictEqual(summary.entities[0].associations.map(association => association.name),
+                               ['orders', 'staff']);
+        assert.strictEqual(summary.files.added.length, 6);
+        assert.strictEqual(summary.upToDate, false);
+        assert.ok(summary.warnings.every(warning => warning.code && warning.message));
+        
+        // Checking an outdated output directory exits with code 11.
+        fs.unlinkSync(path.join(directory, 'model', 'user.ts'));
+        const result = await runCli(['--from-snapshot', SNAPSHOT, '--output-dir', directory, '--check']);
+        assert.strictEqual(result.code, 11);
+        assert.ok(result.stdout.includes('Added:   model/user.ts'));
+    } finally {
+        removeDirectory(directory);
+    }
+});
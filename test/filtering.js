@@ -0,0 +1,68 @@
+/*
+ * This file is part of the ng-spring-data-rest project (https://github.com/dhoeppe/ng-spring-data-rest).
+ *
+ * MIT License
+ *
+ * Copyright (c) 2020 Daniel Höppe
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const ngSpringDataRest = require('..');
+const {SNAPSHOT, createLogger, runTest} = require('./helpers');
+
+/**
+ * Runs a dry run on the snapshot in the fixtures.
+ *
+ * @param options Additional options.
+ * @returns {Promise<{}>} Promise for the summary of the run.
+ */
+function generate(options) {
+    return ngSpringDataRest(Object.assign({'fromSnapshot': SNAPSHOT, 'dryRun': true, 'logger': createLogger()},
+                                          options));
+}
+
+runTest('Filtering tests', async () => {
+    // Globs match the whole name, regular expressions keep no state between repositories.
+    let summary = await generate({'include': ['ord*']});
+    assert.deepStrictEqual(summary.repositories, {'generated': ['orders'], 'skipped': ['users']});
+    
+    summary = await generate({'include': ['/^(users|orders)$/g']});
+    assert.deepStrictEqual(summary.repositories, {'generated': ['users', 'orders'], 'skipped': []});
+    
+    summary = await generate({'exclude': '/^U/i'});
+    assert.deepStrictEqual(summary.repositories, {'generated': ['orders'], 'skipped': ['users']});
+    assert.strictEqual(summary.entities[0].associations.find(association => association.name === 'owner').typing,
+                       'uri');
+    
+    // Invalid patterns are rejected before anything is collected.
+    for (const options of [{'exclude': ['/(/']}, {'include': [42]}, {'interfaceNamePattern': 'I$$@className'}]) {
+        const logger = createLogger();
+        const error = await generate(Object.assign({logger}, options))
+            .then(() => assert.fail(`Resolved with ${JSON.stringify(options)}.`), rejection => rejection);
+        
+        assert.ok(error instanceof ngSpringDataRest.ConfigurationError, error.stack);
+        assert.strictEqual(error.exitCode, 2);
+        assert.deepStrictEqual(logger.messages, []);
+    }
+});
@@ -0,0 +1,6 @@
+export { IUser } from './model/user';
+export { User } from './model/user';
+export { UserProjections } from './model/user';
+export { UserSummary } from './model/user';
+export { IOrder } from './model/order';
+export { Order } from './model/order';
@@ -0,0 +1,51 @@
+/* tslint:disable */
+/**
+ * This file was automatically generated by ng-spring-data-rest.
+ * DO NOT MODIFY IT BY HAND. Instead, modify the source JSONSchema file,
+ * and run ng-spring-data-rest to regenerate this file.
+ */
+import { Resource } from '@lagoshny/ngx-hal-client';
+import { Observable } from 'rxjs';
+import { User } from './user';
+
+export type Total = number;
+export type Status = "OPEN" | "DONE";
+export type Street = string;
+export type City = string;
+
+export interface IOrder {
+  total?: Total;
+  status?: Status;
+  owner?: User;
+  address?: Address;
+  [k: string]: any;
+}
+export interface Address {
+  street?: Street;
+  city?: City;
+  [k: string]: any;
+}
+
+export class Order extends Resource implements IOrder {
+  total?: Total;
+  status?: Status;
+  owner?: User;
+  address?: Address;
+  [k: string]: any;
+
+  constructor() {
+    super();
+  }
+
+  getOwner(): Observable<User> {
+    return this.getRelation(User, 'owner') as Observable<User>;
+  }
+
+  setOwner(resource: User): Observable<any> {
+    return this.substituteRelation('owner', resource);
+  }
+
+  removeOwner(resource: User): Observable<any> {
+    return this.deleteRelation('owner', resource);
+  }
+}
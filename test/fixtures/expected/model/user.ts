@@ -0,0 +1,80 @@
+/* tslint:disable */
+/**
+ * This file was automatically generated by ng-spring-data-rest.
+ * DO NOT MODIFY IT BY HAND. Instead, modify the source JSONSchema file,
+ * and run ng-spring-data-rest to regenerate this file.
+ */
+import { Resource } from '@lagoshny/ngx-hal-client';
+import { forkJoin, Observable } from 'rxjs';
+import { Order } from './order';
+
+export type Name = string;
+export type Email = string;
+export type Status = "ACTIVE" | "INACTIVE";
+export type CreatedAt = string;
+export type Street = string;
+export type City = string;
+
+export interface IUser {
+  name: Name;
+  email?: Email;
+  status?: Status;
+  createdAt?: CreatedAt;
+  address?: Address;
+  orders?: Order[];
+  staff?: User;
+  [k: string]: any;
+}
+export interface Address {
+  street?: Street;
+  city?: City;
+  [k: string]: any;
+}
+
+export class User extends Resource implements IUser {
+  name: Name;
+  email?: Email;
+  status?: Status;
+  createdAt?: CreatedAt;
+  address?: Address;
+  orders?: Order[];
+  staff?: User;
+  [k: string]: any;
+
+  constructor() {
+    super();
+  }
+
+  getOrders(): Observable<Order[]> {
+    return this.getRelationArray(Order, 'orders');
+  }
+
+  addOrders(resources: Order[]): Observable<any> {
+    return forkJoin(resources.map(resource => this.updateRelation('orders', resource)));
+  }
+
+  removeOrders(resource: Order): Observable<any> {
+    return this.deleteRelation('orders', resource);
+  }
+
+  getStaff(): Observable<User> {
+    return this.getRelation(User, 'staff') as Observable<User>;
+  }
+
+  setStaff(resource: User): Observable<any> {
+    return this.substituteRelation('staff', resource);
+  }
+
+  removeStaff(resource: User): Observable<any> {
+    return this.deleteRelation('staff', resource);
+  }
+}
+
+export interface UserSummary extends Resource {
+  name: IUser['name'];
+  email?: IUser['email'];
+}
+
+export interface UserProjections {
+  userSummary: UserSummary;
+}
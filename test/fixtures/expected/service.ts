@@ -0,0 +1,2 @@
+export { UserService } from './service/user.service';
+export { OrderService } from './service/order.service';
@@ -0,0 +1,18 @@
+import {Injectable, Injector} from '@angular/core';
+import {HalOptions, RestService} from '@lagoshny/ngx-hal-client';
+import {Observable} from 'rxjs';
+import {Order} from '../model/order';
+
+@Injectable({
+  providedIn: 'root',
+})
+export class OrderService extends RestService<Order> {
+  constructor(injector: Injector) {
+    super(Order, 'orders', injector);
+  }
+
+  public findByOwnerName(name: string, options?: HalOptions): Observable<Order[]> {
+    const params = [...(options && options.params || []), {key: 'name', value: name}];
+    return this.search('findByOwnerName', {...options, params});
+  }
+}
@@ -0,0 +1,32 @@
+import {Injectable, Injector} from '@angular/core';
+import {HalOptions, RestService} from '@lagoshny/ngx-hal-client';
+import {Observable} from 'rxjs';
+import {User, UserProjections} from '../model/user';
+
+@Injectable({
+  providedIn: 'root',
+})
+export class UserService extends RestService<User> {
+  constructor(injector: Injector) {
+    super(User, 'users', injector);
+  }
+
+  public findByEmail(email: string, options?: HalOptions): Observable<User[]> {
+    const params = [...(options && options.params || []), {key: 'email', value: email}];
+    return this.search('findByEmail', {...options, params});
+  }
+
+  public findByStatus(status: 'ACTIVE' | 'INACTIVE', options?: HalOptions): Observable<User[]> {
+    const params = [...(options && options.params || []), {key: 'status', value: status}];
+    return this.search('findByStatus', {...options, params});
+  }
+
+  public getWithProjection<K extends keyof UserProjections>(projection: K, id: any): Observable<UserProjections[K]> {
+    return this.get(id, [{key: 'projection', value: projection}]) as Observable<any>;
+  }
+
+  public getAllWithProjection<K extends keyof UserProjections>(projection: K, options?: HalOptions): Observable<UserProjections[K][]> {
+    const params = [...(options && options.params || []), {key: 'projection', value: projection}];
+    return this.getAll({...options, params}) as Observable<any>;
+  }
+}
@@ -0,0 +1,97 @@
+/*
+ * This file is part of the ng-spring-data-rest project (https://github.com/dhoeppe/ng-spring-data-rest).
+ *
+ * MIT License
+ *
+ * Copyright (c) 2020 Daniel Höppe
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+
+const {generateFiles, runTest} = require('./helpers');
+
+const SNAPSHOT = path.join(__dirname, 'fixtures', 'forms.json');
+
+runTest('Form tests', async () => {
+    const {files} = await generateFiles({'fromSnapshot': SNAPSHOT, 'forms': true});
+    const form = files['form/user.form.ts'];
+    
+    assert.deepStrictEqual(Object.keys(files).filter(file => file.startsWith('form')).sort(),
+                           ['form.ts', 'form/order.form.ts', 'form/schema-validators.ts', 'form/user.form.ts']);
+    assert.ok(files['form.ts'].includes('export { createUserForm } from \'./form/user.form\';'));
+    
+    // Read-only properties and associations are not part of the form.
+    assert.ok(form.includes('export type UserFormValue = Pick<IUser, \'name\' | \'email\' | \'status\' | \'createdAt\''
+                            + ' | \'address\' | \'code\' | \'age\' | \'first-name\' | \'website\'>;'));
+    assert.ok(form.includes('\n  \'first-name\': FormControl;\n'));
+    
+    // Each constraint of the JSON schema becomes a validator.
+    const validators = {
+        'name': '[Validators.required, Validators.minLength(2), Validators.maxLength(50)]',
+        'email': '[Validators.email]',
+        'status': '[SchemaValidators.oneOf([\'ACTIVE\', \'INACTIVE\'])]',
+        'createdAt': '[SchemaValidators.dateTime]',
+        'code': '[Validators.pattern(\'[A-Z]{2}\\\\d+\\\'x\')]',
+        'age': '[Validators.min(0), Validators.max(150), SchemaValidators.integer]',
+        'website': '[SchemaValidators.uri]'
+    };
+    for (const name of Object.keys(validators)) {
+        assert.ok(form.includes(`\n    ${name}: new FormControl(value.${name} !== undefined ? value.${name} : null,`
+                                + ` ${validators[name]}),\n`), name);
+    }
+    assert.ok(form.includes('\n    \'first-name\': new FormControl(value[\'first-name\'] !== undefined'
+                            + ' ? value[\'first-name\'] : null, []),\n'));
+    assert.ok(files['form/order.form.ts'].includes('total: new FormControl(value.total !== undefined ? value.total'
+                                                   + ' : null, [Validators.min(0)]),'));
+    
+    // Embeddables become nested groups.
+    assert.ok(form.includes('\n  address: FormGroup;\n'));
+    assert.ok(form.includes('\n    address: new FormGroup({\n'
+                            + '      street: new FormControl(value.address && value.address.street !== undefined'
+                            + ' ? value.address.street : null, []),\n'
+                            + '      city: new FormControl(value.address && value.address.city !== undefined'
+                            + ' ? value.address.city : null, []),\n'
+                            + '    }),\n'));
+    
+    // Nested embeddables are guarded against missing enclosing values, their constraints are validated as well.
+    const nested = await generateFiles({'fromSnapshot': path.join(__dirname, 'fixtures', 'shared-types.json'),
+                                        'forms': true});
+    const nestedForm = nested.files['form/user.form.ts'];
+    assert.ok(nestedForm.includes('\nimport { SchemaValidators } from \'./schema-validators\';\n'));
+    assert.ok(nestedForm.includes('\n      kind: new FormControl(value.address && value.address.kind !== undefined'
+                                  + ' ? value.address.kind : null, [SchemaValidators.oneOf([\'HOME\','
+                                  + ' \'in-progress\'])]),\n'));
+    assert.ok(nestedForm.includes('\n      geo: new FormGroup({\n        lat: new FormControl(value.address'
+                                  + ' && value.address.geo && value.address.geo.lat !== undefined'
+                                  + ' ? value.address.geo.lat : null, []),\n'));
+    
+    // Formats not covered by the Angular validators are validated by the shared schema validators.
+    for (const validator of ['uri', 'uuid', 'date', 'dateTime']) {
+        assert.ok(files['form/schema-validators.ts'].includes(`\n  static ${validator}: ValidatorFn = `), validator);
+    }
+    
+    // Forms are only generated on demand.
+    const {summary} = await generateFiles({'fromSnapshot': SNAPSHOT, 'dryRun': true});
+    assert.ok(!summary.files.added.some(file => file.startsWith('form')));
+});
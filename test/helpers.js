@@ -0,0 +1,258 @@
+/*
+ * This file is part of the ng-spring-data-rest project (https://github.com/dhoeppe/ng-spring-data-rest).
+ *
+ * MIT License
+ *
+ * Copyright (c) 2020 Daniel Höppe
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'ng-spring-data-rest');
+const SNAPSHOT = path.join(__dirname, 'fixtures', 'snapshot.json');
+
+/**
+ * Creates a temporary directory.
+ *
+ * @returns {string} The path of the directory.
+ */
+function createDirectory() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'ng-spring-data-rest-'));
+}
+
+/**
+ * Deletes the given directory along with its content, if it exists.
+ * Implemented by hand, as fs.rmSync and the recursive option of fs.rmdirSync are not available in all
+ * supported versions of Node.js.
+ *
+ * @param directory The path of the directory.
+ */
+function removeDirectory(directory) {
+    if (!fs.existsSync(directory)) {
+        return;
+    }
+    
+    for (const name of fs.readdirSync(directory)) {
+        const file = path.join(directory, name);
+        if (fs.lstatSync(file).isDirectory()) {
+            removeDirectory(file);
+        } else {
+            fs.unlinkSync(file);
+        }
+    }
+    fs.rmdirSync(directory);
+}
+
+/**
+ * Reads all files within the given directory.
+ *
+ * @param directory The path of the directory.
+ * @returns {{}} The content of each file by its path relative to the directory, using '/' as separator.
+ */
+function readTree(directory) {
+    const files = {};
+    
+    const read = relativePath => {
+        for (const name of fs.readdirSync(path.join(directory, relativePath)).sort()) {
+            const file = relativePath ? `${relativePath}/${name}` : name;
+            if (fs.statSync(path.join(directory, file)).isDirectory()) {
+                read(file);
+            } else {
+                files[file] = fs.readFileSync(path.join(directory, file), 'utf8');
+            }
+        }
+    };
+    read('');
+    
+    return files;
+}
+
+/**
+ * Runs the command line interface asynchronously, so that a stub server of the same process can respond.
+ *
+ * @param args The command line arguments.
+ * @param env Additional environment variables.
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} Promise for the exit code and output.
+ */
+function runCli(args, env = {}) {
+    return new Promise((resolve, reject) => {
+        const child = childProcess.spawn(process.execPath, [CLI].concat(args), {
+            'env': Object.assign({}, process.env, env)
+        });
+        let stdout = '';
+        let stderr = '';
+        
+        child.stdout.on('data', data => stdout += data);
+        child.stderr.on('data', data => stderr += data);
+        child.on('error', reject);
+        child.on('close', code => resolve({code, stdout, stderr}));
+    });
+}
+
+/**
+ * Starts a stub server on a free port of localhost. Every request is recorded along with its body before the
+ * handler is called.
+ *
+ * @param handler Function(request, response) answering the requests, the recorded request is passed.
+ * @returns {Promise<{url: string, requests: [], close: function}>} Promise for the base URL of the server,
+ * the recorded requests and a function closing the server.
+ */
+function startServer(handler) {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', data => body += data);
+        request.on('end', () => {
+            const recorded = {
+                'method': request.method,
+                'url': request.url,
+                'headers': request.headers,
+                'body': body
+            };
+            requests.push(recorded);
+            handler(recorded, response);
+        });
+    });
+    
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        'url': `http://127.0.0.1:${server.address().port}/`,
+        'requests': requests,
+        'close': () => new Promise(closed => server.close(closed))
+    })));
+}
+
+/**
+ * Sends the given document as JSON response.
+ *
+ * @param response The response to send.
+ * @param status The HTTP status.
+ * @param document The document to send.
+ */
+function sendJSON(response, status, document) {
+    response.writeHead(status, {'Content-Type': 'application/json'});
+    response.end(JSON.stringify(document));
+}
+
+/**
+ * Returns a handler serving the documents of the given snapshot like a Spring Data REST server.
+ * The JSON schema of a repository is served if requested by the Accept header, its ALPS profile otherwise.
+ *
+ * @param snapshot The snapshot, defaults to the snapshot in the fixtures.
+ * @returns {function} The handler for startServer.
+ */
+function serveSnapshot(snapshot = readSnapshot()) {
+    return (request, response) => {
+        const matches = request.url.match(/^\/profile(?:\/(\w+))?$/);
+        
+        if (!matches) {
+            sendJSON(response, 404, {});
+        } else if (!matches[1]) {
+            sendJSON(response, 200, snapshot.profile);
+        } else if ((request.headers.accept || '').includes('application/schema+json')) {
+            sendJSON(response, 200, snapshot.schemas[matches[1]]);
+        } else {
+            sendJSON(response, 200, snapshot.alps[matches[1]]);
+        }
+    };
+}
+
+/**
+ * Reads the snapshot in the fixtures.
+ *
+ * @returns {{}} The snapshot.
+ */
+function readSnapshot() {
+    return JSON.parse(fs.readFileSync(SNAPSHOT, 'utf8'));
+}
+
+/**
+ * Returns a logger collecting the messages instead of printing them.
+ *
+ * @returns {{log: function, warn: function, error: function, messages: string[]}} The logger.
+ */
+function createLogger() {
+    const messages = [];
+    const collect = message => messages.push(message);
+    
+    return {'log': collect, 'warn': collect, 'error': collect, 'messages': messages};
+}
+
+/**
+ * Generates the files for the given options using the Node API and reads them.
+ * The files are generated into a temporary directory, which is deleted afterwards.
+ *
+ * @param options The options, generating from the snapshot in the fixtures unless given otherwise.
+ * @returns {Promise<{summary: {}, files: {}}>} Promise for the summary of the run and the content of each
+ * generated file by its path relative to the output directory.
+ */
+async function generateFiles(options) {
+    const ngSpringDataRest = require('..');
+    const outputDir = createDirectory();
+    
+    try {
+        const summary = await ngSpringDataRest(Object.assign({
+            'fromSnapshot': SNAPSHOT,
+            'outputDir': outputDir,
+            'logger': createLogger()
+        }, options));
+        
+        return {summary, 'files': readTree(outputDir)};
+    } finally {
+        removeDirectory(outputDir);
+    }
+}
+
+/**
+ * Runs the given asynchronous test and reports its outcome.
+ * The process fails unless the test passed, i.e. also if the test never settles.
+ *
+ * @param name The name of the tests.
+ * @param test Function returning a promise for the test.
+ */
+function runTest(name, test) {
+    process.exitCode = 1;
+    test().then(() => {
+        console.log(`${name} passed.`);
+        process.exitCode = 0;
+    }, error => console.error(error));
+}
+
+module.exports = {
+    CLI,
+    SNAPSHOT,
+    createDirectory,
+    removeDirectory,
+    readTree,
+    runCli,
+    startServer,
+    sendJSON,
+    serveSnapshot,
+    readSnapshot,
+    createLogger,
+    generateFiles,
+    runTest
+};
@@ -0,0 +1,108 @@
+/*
+ * This file is part of the ng-spring-data-rest project (https://github.com/dhoeppe/ng-spring-data-rest).
+ *
+ * MIT License
+ *
+ * Copyright (c) 2020 Daniel Höppe
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+
+const {generateFiles, runTest} = require('./helpers');
+
+const SNAPSHOT = path.join(__dirname, 'fixtures', 'hierarchy.json');
+
+const TARGETS = {
+    'ngx-hal-client': 'RestService<AnimalUnion>',
+    'ngx-hateoas-client': 'HateoasResourceOperation<AnimalUnion>',
+    'http-client': 'RestService<AnimalUnion>'
+};
+
+runTest('Hierarchy tests', async () => {
+    for (const target of Object.keys(TARGETS)) {
+        const {summary, files} = await generateFiles({
+            'fromSnapshot': SNAPSHOT,
+            'target': target,
+            'detectHierarchies': true
+        });
+        const animal = files['model/animal.ts'];
+        
+        // The subtypes extend the interface and the class of their supertype and narrow the discriminator.
+        for (const [className, value] of [['Cat', 'CAT'], ['Dog', 'DOG'], ['Puppy', 'PUPPY']]) {
+            const model = files[`model/${className.toLowerCase()}.ts`];
+            assert.ok(model.includes('\nimport { Animal, IAnimal } from \'./animal\';\n'), target);
+            assert.ok(model.includes(`\nexport interface I${className} extends IAnimal {\n  type: "${value}";\n`),
+                      target);
+            assert.ok(model.includes(`\nexport class ${className} extends Animal implements I${className} {\n`
+                                     + `  type: "${value}";\n`), target);
+        }
+        assert.ok(animal.includes('\n  type?: "BIRD" | "CAT" | "DOG" | "PUPPY";\n'), target);
+        
+        // Alternatives of the schema without repository are generated alongside their supertype.
+        assert.ok(animal.includes('\nexport interface IBird extends IAnimal {\n  type: "BIRD";\n'), target);
+        assert.ok(animal.includes('\nexport class Bird extends Animal implements IBird {\n'), target);
+        assert.ok(animal.includes('\nexport type AnimalUnion = Cat | Dog | Puppy | Bird;\n'), target);
+        
+        // The service of the supertype returns the union.
+        const service = files['service/animal.service.ts'];
+        assert.ok(/^import {Animal, AnimalUnion(, Bird)?} from '\.\.\/model\/animal';$/m.test(service), target);
+        assert.ok(service.includes(`\nexport class AnimalService extends ${TARGETS[target]} {\n`), target);
+        assert.ok(/^ {2}public findByName\(.*\): Observable<(ResourceCollection<AnimalUnion>|AnimalUnion\[\])> {$/m
+            .test(service), target);
+        if (target === 'http-client') {
+            // Resources are instantiated as the subtype given by their discriminator.
+            assert.ok(service.includes('\nconst SUBTYPES: { [value: string]: new () => AnimalUnion } = {\n'
+                                       + '  \'CAT\': Cat,\n  \'DOG\': Dog,\n  \'PUPPY\': Puppy,\n'
+                                       + '  \'BIRD\': Bird,\n};\n'));
+        }
+        
+        // Hierarchies found by the properties of the schemas only are reported, those declared by 'oneOf' are not.
+        assert.deepStrictEqual(summary.entities.map(entity => [entity.name, entity.supertype]), [
+            ['animal', undefined], ['dog', 'animals'], ['cat', 'animals'], ['puppy', 'animals'], ['user', undefined]
+        ]);
+        assert.deepStrictEqual(summary.warnings.filter(warning => warning.code === 'guessed-hierarchy')
+                                   .map(warning => warning.repository), ['dogs', 'puppies']);
+    }
+    
+    // Without the switch, only the alternatives of the schema are subtypes.
+    let {summary, files} = await generateFiles({'fromSnapshot': SNAPSHOT});
+    assert.deepStrictEqual(summary.entities.map(entity => entity.supertype), [
+        undefined, undefined, 'animals', undefined, undefined
+    ]);
+    assert.ok(!summary.warnings.some(warning => warning.code === 'guessed-hierarchy'));
+    assert.ok(files['model/animal.ts'].includes('\nexport type AnimalUnion = Cat | Bird;\n'));
+    assert.ok(files['model/dog.ts'].includes('\nexport class Dog extends Resource implements IDog {\n'));
+    
+    // A configured supertype is not reported.
+    ({summary} = await generateFiles({
+        'fromSnapshot': SNAPSHOT,
+        'detectHierarchies': true,
+        'repositories': {'dogs': {'extends': 'animals'}, 'puppies': {'extends': 'dogs'}}
+    }));
+    assert.deepStrictEqual(summary.entities.map(entity => entity.supertype), [
+        undefined, 'animals', 'animals', 'dogs', undefined
+    ]);
+    assert.ok(!summary.warnings.some(warning => warning.code === 'guessed-hierarchy'));
+});
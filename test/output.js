@@ -0,0 +1,101 @@
+/*
+ * This file is part of the ng-spring-data-rest project (https://github.com/dhoeppe/ng-spring-data-rest).
+ *
+ * MIT License
+ *
+ * Copyright (c) 2020 Daniel Höppe
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const ngSpringDataRest = require('..');
+const {SNAPSHOT, createDirectory, removeDirectory, runCli, createLogger, runTest} = require('./helpers');
+
+const MANIFEST = '.ng-spring-data-rest-manifest.json';
+const PAST = new Date('2020-01-01T00:00:00Z');
+
+runTest('Output tests', async () => {
+    const outputDir = createDirectory();
+    const file = name => path.join(outputDir, name);
+    const generate = options => ngSpringDataRest(Object.assign({
+        'fromSnapshot': SNAPSHOT,
+        'outputDir': outputDir,
+        'logger': createLogger()
+    }, options));
+    
+    try {
+        // The first run adds all files and lists them in the manifest.
+        let summary = await generate({});
+        const generated = ['model.ts', 'model/order.ts', 'model/user.ts', 'service.ts', 'service/order.service.ts',
+                           'service/user.service.ts'];
+        assert.deepStrictEqual(summary.files, {'added': generated, 'changed': [], 'removed': [], 'unchanged': []});
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(file(MANIFEST), 'utf8')), {'files': generated});
+        
+        // Unchanged files are not written again and files of the user are left alone.
+        generated.concat(MANIFEST).forEach(name => fs.utimesSync(file(name), PAST, PAST));
+        fs.writeFileSync(file('model/custom.ts'), 'export const CUSTOM = true;\n');
+        
+        summary = await generate({});
+        assert.deepStrictEqual(summary.files, {'added': [], 'changed': [], 'removed': [], 'unchanged': generated});
+        generated.concat(MANIFEST)
+            .forEach(name => assert.strictEqual(fs.statSync(file(name)).mtime.getTime(), PAST.getTime(), name));
+        
+        // Checking an up to date output directory succeeds.
+        let result = await runCli(['--from-snapshot', SNAPSHOT, '--output-dir', outputDir, '--check']);
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.ok(result.stdout.includes('Generated files are up to date.'));
+        
+        // Checking an edited file fails with exit code 11 and neither overwrites the file nor updates the manifest.
+        const edited = fs.readFileSync(file('model/user.ts'), 'utf8') + '// Edited\n';
+        fs.writeFileSync(file('model/user.ts'), edited);
+        
+        result = await runCli(['--from-snapshot', SNAPSHOT, '--output-dir', outputDir, '--check']);
+        assert.strictEqual(result.code, 11, result.stderr);
+        assert.ok(result.stdout.includes('Changed: model/user.ts'));
+        assert.strictEqual(fs.readFileSync(file('model/user.ts'), 'utf8'), edited);
+        assert.strictEqual(fs.statSync(file(MANIFEST)).mtime.getTime(), PAST.getTime());
+        
+        summary = await generate({'check': true});
+        assert.strictEqual(summary.upToDate, false);
+        assert.deepStrictEqual(summary.files.changed, ['model/user.ts']);
+        assert.strictEqual(fs.readFileSync(file('model/user.ts'), 'utf8'), edited);
+        
+        // Files generated before but not anymore are deleted along with the directories they leave empty.
+        summary = await generate({'serviceDir': 'api', 'exclude': ['orders']});
+        assert.deepStrictEqual(summary.files, {
+            'added': ['api.ts', 'api/user.service.ts'],
+            'changed': ['model.ts', 'model/user.ts'],
+            'removed': ['model/order.ts', 'service.ts', 'service/order.service.ts', 'service/user.service.ts'],
+            'unchanged': []
+        });
+        assert.ok(!fs.existsSync(file('service')));
+        assert.ok(!fs.existsSync(file('model/order.ts')));
+        assert.strictEqual(fs.readFileSync(file('model/custom.ts'), 'utf8'), 'export const CUSTOM = true;\n');
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(file(MANIFEST), 'utf8')),
+                               {'files': ['api.ts', 'api/user.service.ts', 'model.ts', 'model/user.ts']});
+    } finally {
+        removeDirectory(outputDir);
+    }
+});
@@ -0,0 +1,144 @@
+/*
+ * This file is part of the ng-spring-data-rest project (https://github.com/dhoeppe/ng-spring-data-rest).
+ *
+ * MIT License
+ *
+ * Copyright (c) 2020 Daniel Höppe
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const {SNAPSHOT, createDirectory, removeDirectory, readTree, runCli, runTest} = require('./helpers');
+
+const FILES = ['model.ts', 'model/order.ts', 'model/user.ts', 'service.ts', 'service/order.service.ts',
+               'service/user.service.ts'];
+
+/**
+ * Returns the warning about the given search guessed to return a collection.
+ *
+ * @param repository The name of the repository.
+ * @param search The name of the search.
+ * @returns {{}} The warning as reported.
+ */
+function guessedSearchResult(repository, search) {
+    return {
+        'code': 'guessed-search-result',
+        'repository': repository,
+        'message': `Search '${search}' of '${repository}' is assumed to return a collection by its name, configure`
+                   + ' \'searchResults\' to override.'
+    };
+}
+
+runTest('Report tests', async () => {
+    const directory = createDirectory();
+    const reportFile = path.join(directory, 'report.json');
+    const outputDir = path.join(directory, 'output');
+    const args = ['--from-snapshot', SNAPSHOT, '--output-dir', outputDir, '--dry-run', '--report', reportFile];
+    
+    try {
+        // A dry run reports the files it would write without creating the output directory.
+        let result = await runCli(args);
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.ok(result.stdout.includes('Dry run, nothing written: 6 added, 0 changed, 0 removed, 0 unchanged.'));
+        assert.ok(!fs.existsSync(outputDir));
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(reportFile, 'utf8')), {
+            'descriptorName': 'descriptor',
+            'repositories': {'generated': ['users', 'orders'], 'skipped': []},
+            'entities': [
+                {
+                    'repository': 'users',
+                    'name': 'user',
+                    'className': 'User',
+                    'fileName': 'user',
+                    'associations': [
+                        {
+                            'name': 'orders',
+                            'rt': 'http://localhost:18080/profile/orders#order-representation',
+                            'typing': 'entity',
+                            'type': 'Order[]',
+                            'collection': true,
+                            'inherited': false
+                        },
+                        {
+                            'name': 'staff',
+                            'rt': 'http://localhost:18080/profile/users#user-representation',
+                            'typing': 'entity',
+                            'type': 'User',
+                            'collection': false,
+                            'inherited': false
+                        }
+                    ]
+                },
+                {
+                    'repository': 'orders',
+                    'name': 'order',
+                    'className': 'Order',
+                    'fileName': 'order',
+                    'associations': [
+                        {
+                            'name': 'owner',
+                            'rt': 'http://localhost:18080/profile/users#user-representation',
+                            'typing': 'entity',
+                            'type': 'User',
+                            'collection': false,
+                            'inherited': false
+                        }
+                    ]
+                }
+            ],
+            'files': {'added': FILES, 'changed': [], 'removed': [], 'unchanged': []},
+            'upToDate': false,
+            'warnings': [
+                guessedSearchResult('users', 'findByEmail'),
+                guessedSearchResult('users', 'findByStatus'),
+                guessedSearchResult('orders', 'findByOwnerName')
+            ]
+        });
+        
+        // A dry run of an existing output directory reports the differences and leaves the directory as it is.
+        result = await runCli(['--from-snapshot', SNAPSHOT, '--output-dir', outputDir]);
+        assert.strictEqual(result.code, 0, result.stderr);
+        const userFile = path.join(outputDir, 'model', 'user.ts');
+        fs.writeFileSync(userFile, fs.readFileSync(userFile, 'utf8') + '// Edited\n');
+        fs.unlinkSync(path.join(outputDir, 'service.ts'));
+        const tree = readTree(outputDir);
+        
+        result = await runCli(args.concat('--exclude', 'orders'));
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.deepStrictEqual(readTree(outputDir), tree);
+        const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+        assert.deepStrictEqual(report.repositories, {'generated': ['users'], 'skipped': ['orders']});
+        assert.deepStrictEqual(report.files, {
+            'added': ['service.ts'],
+            'changed': ['model.ts', 'model/user.ts'],
+            'removed': ['model/order.ts', 'service/order.service.ts'],
+            'unchanged': ['service/user.service.ts']
+        });
+        assert.strictEqual(report.upToDate, false);
+    } finally {
+        removeDirectory(directory);
+    }
+});
@@ -0,0 +1,153 @@
+/*
+ * This file is part of the ng-spring-data-rest project (https://github.com/dhoeppe/ng-spring-data-rest).
+ *
+ * MIT License
+ *
+ * Copyright (c) 2020 Daniel Höppe
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const ngSpringDataRest = require('..');
+const {createDirectory, removeDirectory, startServer, sendJSON, serveSnapshot, createLogger, runTest} =
+    require('./helpers');
+
+/**
+ * Runs a dry run against a stub server serving the snapshot in the fixtures after a delay. Requests are answered
+ * with the status returned by the given function instead, if any.
+ *
+ * @param fail Function(request, attempt) returning the status to fail the given attempt of a request with.
+ * @param options Additional options.
+ * @returns {Promise<{error: Error, logger: {}, requests: [], maxPending: number}>} Promise for the error the run
+ * was rejected with, if any, the logger, the received requests along with their time and the maximum number of
+ * requests pending at once.
+ */
+async function generate(fail, options) {
+    const serveDocuments = serveSnapshot();
+    const attempts = {};
+    let pending = 0;
+    let maxPending = 0;
+    
+    const server = await startServer((request, response) => {
+        const key = `${request.url} ${request.headers.accept}`;
+        attempts[key] = (attempts[key] || 0) + 1;
+        request.time = Date.now();
+        request.attempt = attempts[key];
+        pending++;
+        maxPending = Math.max(maxPending, pending);
+        
+        setTimeout(() => {
+            pending--;
+            const status = fail(request, request.attempt);
+            if (status) {
+                sendJSON(response, status, {});
+            } else {
+                serveDocuments(request, response);
+            }
+        }, 20);
+    });
+    const directory = createDirectory();
+    const logger = createLogger();
+    
+    try {
+        const error = await ngSpringDataRest(Object.assign({
+            'baseURL': server.url,
+            'outputDir': directory,
+            'dryRun': true,
+            'logger': logger
+        }, options)).then(() => undefined, rejection => rejection);
+        
+        return {error, logger, 'requests': server.requests, maxPending};
+    } finally {
+        await server.close();
+        removeDirectory(directory);
+    }
+}
+
+/**
+ * Returns whether the given request retrieves a JSON schema.
+ *
+ * @param request The recorded request.
+ * @returns {boolean} Whether a JSON schema is requested.
+ */
+function isSchema(request) {
+    return request.headers.accept.includes('application/schema+json');
+}
+
+/**
+ * Returns whether the given request retrieves the JSON schema of users.
+ *
+ * @param request The recorded request.
+ * @returns {boolean} Whether the JSON schema of users is requested.
+ */
+function isUserSchema(request) {
+    return request.url === '/profile/users' && isSchema(request);
+}
+
+runTest('Retry tests', async () => {
+    // Transient failures are retried with exponential backoff, every document is retrieved once.
+    let result = await generate((request, attempt) => {
+        if (request.url === '/profile' && attempt === 1) {
+            return 429;
+        }
+        return isUserSchema(request) && attempt <= 2 ? 503 : undefined;
+    }, {});
+    assert.strictEqual(result.error, undefined);
+    assert.strictEqual(result.requests.length, 5 + 3);
+    
+    const successful = result.requests.filter(request => !(request.url === '/profile' && request.attempt === 1)
+        && !(isUserSchema(request) && request.attempt <= 2));
+    assert.deepStrictEqual(successful.map(request => request.url + (isSchema(request) ? ' schema' : '')).sort(), [
+        '/profile',
+        '/profile/orders',
+        '/profile/orders schema',
+        '/profile/users',
+        '/profile/users schema'
+    ]);
+    
+    const userSchemaRequests = result.requests.filter(isUserSchema);
+    assert.ok(userSchemaRequests[1].time - userSchemaRequests[0].time >= 500 - 10);
+    assert.ok(userSchemaRequests[2].time - userSchemaRequests[1].time >= 1000 - 10);
+    assert.strictEqual(result.logger.messages.filter(message => message.includes('retrying in')).length, 3);
+    assert.ok(result.logger.messages.includes('Request for \'profile/users\' failed '
+                                                  + '(Request failed with status code 503), retrying in 1000 ms.'));
+    
+    // The documents of at most the configured number of repositories are retrieved at once.
+    result = await generate(() => undefined, {'concurrency': 1});
+    assert.strictEqual(result.error, undefined);
+    assert.strictEqual(result.maxPending, 1);
+    
+    result = await generate(() => undefined, {'concurrency': 2});
+    assert.strictEqual(result.error, undefined);
+    assert.strictEqual(result.maxPending, 2);
+    
+    // Other failures are not retried, neither are transient failures once the retries are exhausted.
+    result = await generate(request => isUserSchema(request) ? 404 : undefined, {});
+    assert.ok(result.error instanceof ngSpringDataRest.SchemaFetchError);
+    assert.strictEqual(result.requests.filter(isUserSchema).length, 1);
+    
+    result = await generate(request => isUserSchema(request) ? 502 : undefined, {'retries': 1});
+    assert.ok(result.error instanceof ngSpringDataRest.SchemaFetchError);
+    assert.strictEqual(result.error.status, 502);
+    assert.strictEqual(result.requests.filter(isUserSchema).length, 2);
+});
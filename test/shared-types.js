@@ -0,0 +1,77 @@
+/*
+ * This file is part of the ng-spring-data-rest project (https://github.com/dhoeppe/ng-spring-data-rest).
+ *
+ * MIT License
+ *
+ * Copyright (c) 2020 Daniel Höppe
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+
+const {generateFiles, runTest} = require('./helpers');
+
+const SNAPSHOT = path.join(__dirname, 'fixtures', 'shared-types.json');
+
+runTest('Shared type tests', async () => {
+    const {files} = await generateFiles({'fromSnapshot': SNAPSHOT, 'sharedTypes': true});
+    const user = files['model/user.ts'];
+    const order = files['model/order.ts'];
+    
+    // Each definition and enum is generated once, definitions differing between the schemas are prefixed with
+    // their entity.
+    assert.deepStrictEqual(Object.keys(files).filter(file => file.startsWith('shared/')), [
+        'shared/category.ts', 'shared/geo.ts', 'shared/kind.ts', 'shared/order-address.ts', 'shared/priority.ts',
+        'shared/status.ts', 'shared/tags.ts', 'shared/user-address.ts'
+    ]);
+    assert.ok(files['shared/status.ts'].includes('\nexport enum Status {\n  ACTIVE = \'ACTIVE\',\n'
+                                                 + '  INACTIVE = \'INACTIVE\',\n}\n'));
+    assert.ok(files['shared/kind.ts'].includes('\n  \'in-progress\' = \'in-progress\',\n'));
+    assert.ok(files['shared/priority.ts'].includes('\nexport type Priority = 1 | 2 | 3;\n'));
+    assert.ok(files['shared/user-address.ts'].includes('\nimport { Geo } from \'./geo\';\n'
+                                                       + 'import { Kind } from \'./kind\';\n'));
+    assert.ok(files['shared/user-address.ts'].includes('\nexport interface UserAddress {\n'));
+    assert.ok(files['shared/order-address.ts'].includes('\nexport interface OrderAddress {\n'));
+    
+    // The models import the shared types instead of declaring them.
+    assert.ok(user.includes('\nimport { Status } from \'../shared/status\';\n'
+                            + 'import { UserAddress } from \'../shared/user-address\';\n'));
+    assert.ok(user.includes('\n  status?: Status;\n'));
+    assert.ok(order.includes('\n  status?: Status;\n  owner?: User;\n  address?: OrderAddress;\n'
+                             + '  priority?: Priority;\n  category?: Category;\n  tags?: Tags[];\n'));
+    for (const model of [user, order]) {
+        assert.ok(!/^export (enum|interface) (Status|\w*Address)\b/m.test(model));
+        assert.ok(!model.includes('"ACTIVE" | "INACTIVE"'));
+    }
+    
+    // The models barrel exports the shared types.
+    for (const typeName of ['Category', 'Geo', 'Kind', 'OrderAddress', 'Priority', 'Status', 'Tags', 'UserAddress']) {
+        assert.ok(new RegExp(`^export { ${typeName} } from './shared/[\\w-]+';$`, 'm').test(files['model.ts']),
+                  typeName);
+    }
+    
+    // Without the switch, each model declares its types.
+    const inline = await generateFiles({'fromSnapshot': SNAPSHOT});
+    assert.ok(!Object.keys(inline.files).some(file => file.startsWith('shared')));
+    assert.ok(inline.files['model/order.ts'].includes('\nexport type Status = "ACTIVE" | "INACTIVE";\n'));
+});
@@ -0,0 +1,67 @@
+/*
+ * This file is part of the ng-spring-data-rest project (https://github.com/dhoeppe/ng-spring-data-rest).
+ *
+ * MIT License
+ *
+ * Copyright (c) 2020 Daniel Höppe
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const {createDirectory, removeDirectory, readTree, runCli, startServer, serveSnapshot, readSnapshot, runTest} =
+    require('./helpers');
+
+// The files generated from the snapshot in the fixtures with the default options. After intended changes of the
+// output, regenerate them using
+// node ng-spring-data-rest --from-snapshot test/fixtures/snapshot.json --output-dir test/fixtures/expected
+const EXPECTED = path.join(__dirname, 'fixtures', 'expected');
+
+runTest('Snapshot tests', async () => {
+    const directory = createDirectory();
+    const snapshotFile = path.join(directory, 'recorded', 'snapshot.json');
+    const server = await startServer(serveSnapshot());
+    
+    try {
+        // Record the documents served by the server while generating.
+        let result = await runCli(['-b', server.url, '--record-snapshot', snapshotFile,
+                                   '--output-dir', path.join(directory, 'recorded-output')]);
+        assert.strictEqual(result.code, 0, result.stderr);
+        await server.close();
+        
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(snapshotFile, 'utf8')), readSnapshot());
+        
+        // Replay the recorded documents without the server.
+        result = await runCli(['--from-snapshot', snapshotFile, '--output-dir', path.join(directory, 'output')]);
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.strictEqual(server.requests.length, 5);
+        
+        const expected = readTree(EXPECTED);
+        assert.deepStrictEqual(readTree(path.join(directory, 'output')), expected);
+        assert.deepStrictEqual(readTree(path.join(directory, 'recorded-output')), expected);
+    } finally {
+        await server.close();
+        removeDirectory(directory);
+    }
+});
@@ -0,0 +1,92 @@
+/*
+ * This file is part of the ng-spring-data-rest project (https://github.com/dhoeppe/ng-spring-data-rest).
+ *
+ * MIT License
+ *
+ * Copyright (c) 2020 Daniel Höppe
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+
+const {generateFiles, runTest} = require('./helpers');
+
+const SNAPSHOT = path.join(__dirname, 'fixtures', 'forms.json');
+
+runTest('Testing tests', async () => {
+    const {files} = await generateFiles({'fromSnapshot': SNAPSHOT, 'testing': true});
+    
+    assert.deepStrictEqual(Object.keys(files).filter(file => file.startsWith('testing')).sort(), [
+        'testing.ts', 'testing/hal-fixtures.ts', 'testing/in-memory-backend.ts', 'testing/order.fixture.ts',
+        'testing/user.fixture.ts'
+    ]);
+    
+    // The fixture values satisfy the constraints of the JSON schema.
+    assert.ok(files['testing/user.fixture.ts'].includes(`
+  return {
+    name: 'name',
+    email: 'user@example.com',
+    status: 'ACTIVE',
+    createdAt: '2020-01-01T00:00:00Z',
+    address: {street: 'street', city: 'city'},
+    code: 'code',
+    age: 0,
+    'first-name': 'first-name',
+    version: 1,
+    website: 'http://example.com/',
+    ...overrides
+  };
+`));
+    assert.ok(files['testing/order.fixture.ts'].includes('\n    total: 0,\n    status: \'OPEN\',\n'));
+    
+    // The resources link their associations.
+    assert.ok(files['testing/user.fixture.ts'].includes(`
+  const associations: string[] = ['orders', 'staff'];
+  return createHalResource('users', 'user', id, createUserData(overrides), associations, rootUrl);
+`));
+    assert.ok(files['testing/order.fixture.ts'].includes('\nexport function createOrderCollection(count = 1,'
+                                                         + ' rootUrl = TEST_ROOT_URL): HalCollection<Partial<IOrder>>'
+                                                         + ' {\n'));
+    
+    // The in-memory backend serves the repositories along with their associations and searches.
+    const backend = files['testing/in-memory-backend.ts'];
+    assert.ok(backend.includes(`
+  'users': {
+    name: 'user',
+    associations: {
+      'orders': {repository: 'orders', collection: true},
+      'staff': {repository: 'users', collection: false},
+    },
+    searches: {
+      'findByEmail': {collection: true, parameters: ['email']},
+      'findByStatus': {collection: true, parameters: ['status']},
+    },
+  },
+`));
+    assert.ok(backend.includes('\n      \'owner\': {repository: \'users\', collection: false},\n'));
+    assert.ok(backend.includes('\nexport class InMemoryHalInterceptor implements HttpInterceptor {\n'));
+    assert.ok(backend.includes('\nexport function provideInMemoryHalBackend(rootUrl: string = TEST_ROOT_URL):'
+                               + ' Provider[] {\n'));
+    assert.ok(files['testing.ts'].includes('export { createUserResource } from \'./testing/user.fixture\';'));
+    assert.ok(files['testing.ts'].includes('export * from \'./testing/in-memory-backend\';'));
+});
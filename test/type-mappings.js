@@ -0,0 +1,103 @@
+/*
+ * This file is part of the ng-spring-data-rest project (https://github.com/dhoeppe/ng-spring-data-rest).
+ *
+ * MIT License
+ *
+ * Copyright (c) 2020 Daniel Höppe
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const {generateFiles, runTest} = require('./helpers');
+
+const TYPE_MAPPINGS = {
+    'date-time': {
+        'type': 'Date',
+        'deserialize': 'value => new Date(value)',
+        'serialize': 'value => value.toISOString()'
+    },
+    'number': {
+        'type': 'Big',
+        'import': 'import { Big } from \'big.js\';',
+        'deserialize': 'value => new Big(value)',
+        'serialize': 'value => value.toString()'
+    }
+};
+
+runTest('Type mapping tests', async () => {
+    for (const target of ['ngx-hal-client', 'ngx-hateoas-client', 'http-client']) {
+        const {files} = await generateFiles({
+            'target': target,
+            'typeMappings': TYPE_MAPPINGS,
+            'forms': true,
+            'testing': true
+        });
+        const user = files['model/user.ts'];
+        const order = files['model/order.ts'];
+        
+        // Mapped properties are typed by the mapping, which is imported if necessary.
+        assert.ok(user.includes('\nexport type CreatedAt = Date;\n'), target);
+        assert.ok(order.includes('\nimport { Big } from \'big.js\';\n'), target);
+        assert.ok(order.includes('\nexport type Total = Big;\n'), target);
+        assert.ok(!user.includes('big.js'), target);
+        
+        // The models export their conversions.
+        assert.ok(user.includes(`
+export const USER_CONVERSIONS: PropertyConversions = {
+  createdAt: {deserialize: value => new Date(value), serialize: value => value.toISOString()}
+};
+`), target);
+        assert.ok(order.includes('\n  total: {deserialize: value => new Big(value),'
+                                 + ' serialize: value => value.toString()}\n'), target);
+        assert.ok(user.includes('\nexport function deserializeUser<T>(resource: T): T {\n'
+                                + '  return deserializeProperties(resource, USER_CONVERSIONS);\n}\n'), target);
+        assert.ok(user.includes('\nexport function serializeUser(resource: Partial<IUser>): any {\n'
+                                + '  return serializeProperties(resource, USER_CONVERSIONS);\n}\n'), target);
+        
+        // The interceptor converts the resources of all repositories with conversions.
+        const interceptor = files['conversion-interceptor.ts'];
+        assert.ok(interceptor.includes(`
+const REPOSITORY_CONVERSIONS: { [repository: string]: PropertyConversions } = {
+  'users': USER_CONVERSIONS,
+  'orders': ORDER_CONVERSIONS,
+};
+`), target);
+        assert.ok(interceptor.includes('\nexport class ConversionInterceptor implements HttpInterceptor {\n'), target);
+        assert.ok(interceptor.includes('\nexport function provideConversions(rootUrl?: string): Provider[] {\n'),
+                  target);
+        assert.ok(files['conversion.ts'].includes('\nexport function deserializeProperties<T>(data: T,'
+                                                  + ' conversions: PropertyConversions): T {\n'), target);
+        
+        // Constraints of the JSON value are not validated on mapped values, fixtures keep the JSON value.
+        assert.ok(files['form/order.form.ts'].includes('total: new FormControl(value.total !== undefined'
+                                                       + ' ? value.total : null, []),'), target);
+        assert.ok(files['testing/user.fixture.ts'].includes('\n    createdAt: \'2020-01-01T00:00:00Z\' as any,\n'),
+                  target);
+    }
+    
+    // Without conversions, neither conversions nor the interceptor are generated.
+    const {files} = await generateFiles({'typeMappings': {'date-time': {'type': 'Date'}}});
+    assert.ok(files['model/user.ts'].includes('\nexport type CreatedAt = Date;\n'));
+    assert.ok(!files['model/user.ts'].includes('CONVERSIONS'));
+    assert.ok(!('conversion-interceptor.ts' in files));
+});
@@ -0,0 +1,147 @@
+/*
+ * This file is part of the ng-spring-data-rest project (https://github.com/dhoeppe/ng-spring-data-rest).
+ *
+ * MIT License
+ *
+ * Copyright (c) 2020 Daniel Höppe
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const ngSpringDataRest = require('..');
+const {createDirectory, removeDirectory, startServer, sendJSON, serveSnapshot, readSnapshot, createLogger, runTest} =
+    require('./helpers');
+
+const INTERVAL = 100;
+
+/**
+ * Waits until the given condition is met, checking it in the watch interval.
+ *
+ * @param description The description of the condition reported if it is not met in time.
+ * @param condition Function returning whether the condition is met.
+ * @returns {Promise<void>} Promise resolved once the condition is met, rejected after 30 seconds otherwise.
+ */
+async function waitFor(description, condition) {
+    const timeout = Date.now() + 30000;
+    
+    while (!condition()) {
+        if (Date.now() > timeout) {
+            throw new Error(`Timed out waiting for ${description}.`);
+        }
+        await new Promise(resolve => setTimeout(resolve, INTERVAL));
+    }
+}
+
+runTest('Watch tests', async () => {
+    const snapshot = readSnapshot();
+    const serveDocuments = serveSnapshot(snapshot);
+    let failing = false;
+    const server = await startServer((request, response) => {
+        if (failing) {
+            sendJSON(response, 500, {});
+        } else {
+            serveDocuments(request, response);
+        }
+    });
+    const directory = createDirectory();
+    const logger = createLogger();
+    let watcher;
+    
+    /**
+     * Returns the number of polls started so far, the first generation included.
+     *
+     * @returns {number} The number of requests of the profile.
+     */
+    const countPolls = () => server.requests.filter(request => request.url === '/profile').length;
+    
+    /**
+     * Returns the number of regenerations so far.
+     *
+     * @returns {number} The number of logged changes of the backend.
+     */
+    const countChanges = () => logger.messages.filter(message => message === 'Backend changed:').length;
+    
+    /**
+     * Waits for the given number of further polls.
+     *
+     * @param polls The number of polls to wait for.
+     * @returns {Promise<void>} Promise resolved once the polls were started.
+     */
+    const waitForPolls = polls => {
+        const expected = countPolls() + polls;
+        return waitFor(`${polls} polls`, () => countPolls() >= expected);
+    };
+    
+    try {
+        watcher = await ngSpringDataRest.watch({
+            'baseURL': server.url,
+            'outputDir': directory,
+            'watchInterval': INTERVAL,
+            'retries': 0,
+            'logger': logger
+        });
+        const userFile = path.join(directory, 'model', 'user.ts');
+        assert.ok(fs.existsSync(userFile));
+        assert.ok(logger.messages.includes(`Watching ${server.url} every ${INTERVAL} ms.`));
+        
+        // Polls of an unchanged backend regenerate nothing.
+        await waitForPolls(3);
+        assert.strictEqual(countChanges(), 0);
+        
+        // A changed profile is regenerated exactly once.
+        snapshot.schemas.users.properties['nickname'] = {'title': 'Nickname', 'readOnly': false, 'type': 'string'};
+        await waitFor('the regeneration', () => fs.readFileSync(userFile, 'utf8').includes('nickname?: Nickname;'));
+        await waitForPolls(3);
+        assert.strictEqual(countChanges(), 1);
+        assert.ok(logger.messages.includes('  Changed entity \'users\': added properties nickname.'));
+        assert.ok(logger.messages.includes('Changed: model/user.ts'));
+        
+        // A failing poll is logged and the backend is watched further.
+        failing = true;
+        await waitFor('the failure', () => logger.messages.some(message => message.startsWith('Watching failed: ')));
+        assert.strictEqual(countChanges(), 1);
+        failing = false;
+        delete snapshot.schemas.users.properties['nickname'];
+        await waitFor('the recovery', () => !fs.readFileSync(userFile, 'utf8').includes('nickname'));
+        await waitForPolls(3);
+        assert.strictEqual(countChanges(), 2);
+        assert.ok(logger.messages.includes('  Changed entity \'users\': removed properties nickname.'));
+        
+        // No further polls once stopped.
+        watcher.stop();
+        watcher = undefined;
+        await new Promise(resolve => setTimeout(resolve, 3 * INTERVAL));
+        const polls = countPolls();
+        await new Promise(resolve => setTimeout(resolve, 3 * INTERVAL));
+        assert.strictEqual(countPolls(), polls);
+    } finally {
+        if (watcher) {
+            watcher.stop();
+        }
+        await server.close();
+        removeDirectory(directory);
+    }
+});